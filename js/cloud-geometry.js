@@ -0,0 +1,23 @@
+import { BufferAttribute, BufferGeometry } from 'three';
+
+/**
+ * Wraps a parsed cloud (see js/formats/cloud.js) in a BufferGeometry: `position`,
+ * optional `color`, and every extra per-point attribute under its own name.
+ * The typed arrays are used as-is, not copied.
+ */
+export function cloudToGeometry( cloud ) {
+
+	const geometry = new BufferGeometry();
+	geometry.setAttribute( 'position', new BufferAttribute( cloud.positions, 3 ) );
+	if ( cloud.colors ) geometry.setAttribute( 'color', new BufferAttribute( cloud.colors, 3 ) );
+
+	for ( const [ name, attr ] of Object.entries( cloud.attributes ?? {} ) ) {
+
+		geometry.setAttribute( name, new BufferAttribute( attr.array, attr.itemSize, attr.normalized ) );
+
+	}
+
+	Object.assign( geometry.userData, cloud.userData );
+	return geometry;
+
+}
@@ -0,0 +1,25 @@
+// correspondence-worker.js
+// Reorders morph keyframes so the i-th point of each keyframe is a spatially sensible
+// partner for the i-th point of the previous one (js/correspondence.js), off the main thread.
+//
+// in:  { id, mode, keyframes: [{ positions, colors, visibility? }, ...] }   (Float32Array xyz / rgb / 1)
+// out: { id, keyframes } with keyframes[1..] reordered, or { id, error }
+// colors is null for keyframes that borrow the previous one's by index; it stays null.
+
+import { correspond } from './correspondence.js';
+
+self.onmessage = (e) => {
+  const { id, mode, keyframes } = e.data;
+  try {
+    const result = correspond(mode, keyframes);
+    const transfer = [];
+    for (const kf of result) {
+      transfer.push(kf.positions.buffer);
+      if (kf.colors) transfer.push(kf.colors.buffer);
+      if (kf.visibility) transfer.push(kf.visibility.buffer);
+    }
+    self.postMessage({ id, keyframes: result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,255 @@
+// correspondence.js
+// Point pairing between morph keyframes: reorders each keyframe so its i-th point is a
+// spatially sensible partner for the i-th point of the previous one. Pure functions, run
+// by js/correspondence-worker.js.
+//
+//   morton / hilbert  equal ranks along a space-filling curve
+//   nearest           greedy nearest unused neighbour
+//   ot                hilbert pairing refined by local swaps (approximate optimal transport)
+
+const CURVE_BITS = 10; // per axis → 30-bit curve keys
+
+/* ---------------- Space-filling curve keys ---------------- */
+function quantizer(positions, count) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+  // Uniform scale keeps the shape's aspect so both clouds fill the curve the same way
+  const extent = Math.max(maxX - minX, maxY - minY, maxZ - minZ) || 1;
+  const maxCell = (1 << CURVE_BITS) - 1;
+  const s = maxCell / extent;
+  return (i, out) => {
+    out[0] = Math.min(maxCell, Math.max(0, Math.floor((positions[i * 3] - minX) * s)));
+    out[1] = Math.min(maxCell, Math.max(0, Math.floor((positions[i * 3 + 1] - minY) * s)));
+    out[2] = Math.min(maxCell, Math.max(0, Math.floor((positions[i * 3 + 2] - minZ) * s)));
+  };
+}
+
+function interleave(X) {
+  let key = 0;
+  for (let b = CURVE_BITS - 1; b >= 0; b--) {
+    for (let i = 0; i < 3; i++) key = key * 2 + ((X[i] >> b) & 1);
+  }
+  return key;
+}
+
+// Skilling's axes → transposed Hilbert index, then interleaved into a single key.
+function hilbertKey(X) {
+  const M = 1 << (CURVE_BITS - 1);
+  for (let Q = M; Q > 1; Q >>= 1) {
+    const P = Q - 1;
+    for (let i = 0; i < 3; i++) {
+      if (X[i] & Q) {
+        X[0] ^= P;
+      } else {
+        const t = (X[0] ^ X[i]) & P;
+        X[0] ^= t;
+        X[i] ^= t;
+      }
+    }
+  }
+  for (let i = 1; i < 3; i++) X[i] ^= X[i - 1];
+  let t = 0;
+  for (let Q = M; Q > 1; Q >>= 1) {
+    if (X[2] & Q) t ^= Q - 1;
+  }
+  for (let i = 0; i < 3; i++) X[i] ^= t;
+  return interleave(X);
+}
+
+function curveOrder(positions, count, curve) {
+  const quantize = quantizer(positions, count);
+  const keys = new Float64Array(count);
+  const X = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    quantize(i, X);
+    keys[i] = curve === 'hilbert' ? hilbertKey(X) : interleave(X);
+  }
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  order.sort((a, b) => keys[a] - keys[b]);
+  return order;
+}
+
+// perm[i] = index in b that becomes partner of a[i]: equal ranks along the curve are paired.
+export function matchByCurve(a, b, count, curve) {
+  const orderA = curveOrder(a, count, curve);
+  const orderB = curveOrder(b, count, curve);
+  const perm = new Uint32Array(count);
+  for (let r = 0; r < count; r++) perm[orderA[r]] = orderB[r];
+  return { perm, orderA };
+}
+
+/* ---------------- Greedy nearest neighbour ---------------- */
+function dist2(a, i, b, j) {
+  const dx = a[i * 3] - b[j * 3];
+  const dy = a[i * 3 + 1] - b[j * 3 + 1];
+  const dz = a[i * 3 + 2] - b[j * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// Uniform grid over the live b points; rebuilt coarser as points are consumed so
+// the ring search stays short for the last few assignments.
+function buildGrid(b, live, liveCount) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let k = 0; k < liveCount; k++) {
+    const j = live[k];
+    const x = b[j * 3], y = b[j * 3 + 1], z = b[j * 3 + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+  const res = Math.max(1, Math.min(128, Math.round(Math.cbrt(liveCount))));
+  const extent = Math.max(maxX - minX, maxY - minY, maxZ - minZ) || 1;
+  const cell = extent / res;
+  const cellOf = (x, y, z) => [
+    Math.min(res - 1, Math.max(0, Math.floor((x - minX) / cell))),
+    Math.min(res - 1, Math.max(0, Math.floor((y - minY) / cell))),
+    Math.min(res - 1, Math.max(0, Math.floor((z - minZ) / cell))),
+  ];
+
+  const cells = res * res * res;
+  const start = new Uint32Array(cells + 1);
+  const cellIndex = new Uint32Array(liveCount);
+  for (let k = 0; k < liveCount; k++) {
+    const j = live[k];
+    const [cx, cy, cz] = cellOf(b[j * 3], b[j * 3 + 1], b[j * 3 + 2]);
+    const c = (cz * res + cy) * res + cx;
+    cellIndex[k] = c;
+    start[c + 1]++;
+  }
+  for (let c = 0; c < cells; c++) start[c + 1] += start[c];
+  const fill = start.slice(0, cells);
+  const items = new Uint32Array(liveCount);
+  for (let k = 0; k < liveCount; k++) items[fill[cellIndex[k]]++] = live[k];
+  const alive = new Uint32Array(cells);
+  for (let c = 0; c < cells; c++) alive[c] = start[c + 1] - start[c];
+
+  return { res, cell, cellOf, start, items, alive, size: liveCount };
+}
+
+export function matchNearest(a, b, count) {
+  const perm = new Uint32Array(count);
+  const used = new Uint8Array(count);
+  let live = new Uint32Array(count);
+  for (let j = 0; j < count; j++) live[j] = j;
+  let liveCount = count;
+  let grid = buildGrid(b, live, liveCount);
+
+  // Random visiting order avoids sweeping artefacts from file order
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  let seed = 0x9E3779B9;
+  for (let i = count - 1; i > 0; i--) {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    const j = seed % (i + 1);
+    const t = order[i]; order[i] = order[j]; order[j] = t;
+  }
+
+  for (let n = 0; n < count; n++) {
+    const i = order[n];
+    const { res, cell, cellOf, start, items, alive } = grid;
+    const [cx, cy, cz] = cellOf(a[i * 3], a[i * 3 + 1], a[i * 3 + 2]);
+    let best = -1, bestSlot = -1, bestD = Infinity;
+    for (let r = 0; r < res; r++) {
+      for (let z = Math.max(0, cz - r); z <= Math.min(res - 1, cz + r); z++) {
+        for (let y = Math.max(0, cy - r); y <= Math.min(res - 1, cy + r); y++) {
+          for (let x = Math.max(0, cx - r); x <= Math.min(res - 1, cx + r); x++) {
+            if (Math.max(Math.abs(x - cx), Math.abs(y - cy), Math.abs(z - cz)) !== r) continue;
+            const c = (z * res + y) * res + x;
+            for (let s = start[c], e = start[c] + alive[c]; s < e; s++) {
+              const d = dist2(a, i, b, items[s]);
+              if (d < bestD) { bestD = d; best = items[s]; bestSlot = s; }
+            }
+          }
+        }
+      }
+      // Anything in ring r+1 is at least r cells away
+      if (best >= 0 && (r * cell) * (r * cell) >= bestD) break;
+    }
+
+    perm[i] = best;
+    used[best] = 1;
+    // Swap-remove from its cell's live range
+    const [bx, by, bz] = cellOf(b[best * 3], b[best * 3 + 1], b[best * 3 + 2]);
+    const bc = (bz * res + by) * res + bx;
+    const lastSlot = start[bc] + alive[bc] - 1;
+    items[bestSlot] = items[lastSlot];
+    items[lastSlot] = best;
+    alive[bc]--;
+    liveCount--;
+
+    if (liveCount > 0 && liveCount < grid.size / 4) {
+      live = new Uint32Array(liveCount);
+      for (let j = 0, k = 0; j < count; j++) if (!used[j]) live[k++] = j;
+      grid = buildGrid(b, live, liveCount);
+    }
+  }
+  return perm;
+}
+
+/* ---------------- Approximate optimal transport ---------------- */
+// Start from Hilbert rank matching, then greedily swap partners between points that are
+// close along the curve whenever that lowers the summed squared travel distance.
+const OT_PASSES = 4;
+const OT_WINDOW = 16;
+
+export function matchTransport(a, b, count) {
+  const { perm, orderA } = matchByCurve(a, b, count, 'hilbert');
+  for (let pass = 0; pass < OT_PASSES; pass++) {
+    let swaps = 0;
+    for (let r = 0; r < count; r++) {
+      const i = orderA[r];
+      for (let d = 1; d <= OT_WINDOW && r + d < count; d++) {
+        const j = orderA[r + d];
+        const bi = perm[i], bj = perm[j];
+        const current = dist2(a, i, b, bi) + dist2(a, j, b, bj);
+        const swapped = dist2(a, i, b, bj) + dist2(a, j, b, bi);
+        if (swapped < current) {
+          perm[i] = bj;
+          perm[j] = bi;
+          swaps++;
+        }
+      }
+    }
+    if (!swaps) break;
+  }
+  return perm;
+}
+
+/* ---------------- Entry ---------------- */
+function reorder(src, perm, count, itemSize = 3) {
+  const out = new Float32Array(count * itemSize);
+  for (let i = 0; i < count; i++) {
+    const j = perm[i];
+    for (let c = 0; c < itemSize; c++) out[i * itemSize + c] = src[j * itemSize + c];
+  }
+  return out;
+}
+
+// Reorders keyframes[1..] in place for `mode` ('index' leaves them as they are); null
+// colors stay null for keyframes that borrow the previous one's by index.
+export function correspond(mode, keyframes) {
+  const count = keyframes[0].positions.length / 3;
+  for (let k = 1; k < keyframes.length; k++) {
+    const a = keyframes[k - 1].positions;
+    const b = keyframes[k].positions;
+    let perm;
+    if (mode === 'morton' || mode === 'hilbert') perm = matchByCurve(a, b, count, mode).perm;
+    else if (mode === 'nearest') perm = matchNearest(a, b, count);
+    else if (mode === 'ot') perm = matchTransport(a, b, count);
+    else continue;
+    keyframes[k] = {
+      positions: reorder(b, perm, count),
+      colors: keyframes[k].colors && reorder(keyframes[k].colors, perm, count),
+      visibility: keyframes[k].visibility && reorder(keyframes[k].visibility, perm, count, 1),
+    };
+  }
+  return keyframes;
+}
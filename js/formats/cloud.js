@@ -0,0 +1,129 @@
+// cloud.js
+// Three-free helpers shared by the format parsers, the model worker, the point generators
+// and the viewer.
+//
+// A parsed "cloud" is a plain object that can cross a worker boundary:
+//   {
+//     count,
+//     positions: Float32Array (xyz),
+//     colors:    Float32Array (linear rgb) | null,
+//     attributes: { name: { array, itemSize, normalized } },   // intensity, classification, …
+//     userData:  {}
+//   }
+
+export const VIEW_EXTENT = 2;            // largest side after normalizePositions()
+export const VIEW_ROTATION_Y_DEG = 30;   // initial yaw applied to every model
+
+// Same curve as THREE.Color#convertSRGBToLinear, so parsers match PLYLoader output.
+export function srgbToLinear(c) {
+  return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+// Inverse of srgbToLinear (THREE.Color#convertLinearToSRGB), for writing 8-bit colors.
+export function linearToSrgb(c) {
+  return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+}
+
+export class GrowableFloat32Array {
+  constructor(capacity = 65536) {
+    this.array = new Float32Array(capacity);
+    this.length = 0;
+  }
+
+  push(v) {
+    if (this.length === this.array.length) {
+      const next = new Float32Array(this.array.length * 2);
+      next.set(this.array);
+      this.array = next;
+    }
+    this.array[this.length++] = v;
+  }
+
+  toArray() {
+    return this.array.slice(0, this.length);
+  }
+}
+
+export function createCloud(positions, colors = null, attributes = {}, userData = {}) {
+  return { count: positions.length / 3, positions, colors, attributes, userData };
+}
+
+// Center on the bounds, scale the largest side to VIEW_EXTENT and apply the view yaw, in place.
+export function normalizePositions(positions) {
+  const count = positions.length / 3;
+  if (!count) return positions;
+
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+
+  const cx = (minX + maxX) * 0.5, cy = (minY + maxY) * 0.5, cz = (minZ + maxZ) * 0.5;
+  const scale = VIEW_EXTENT / (Math.max(maxX - minX, maxY - minY, maxZ - minZ) || 1);
+  const a = VIEW_ROTATION_Y_DEG * Math.PI / 180;
+  const cos = Math.cos(a), sin = Math.sin(a);
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = (positions[i] - cx) * scale;
+    const y = (positions[i + 1] - cy) * scale;
+    const z = (positions[i + 2] - cz) * scale;
+    // Same as Matrix4.makeRotationY
+    positions[i] = x * cos + z * sin;
+    positions[i + 1] = y;
+    positions[i + 2] = -x * sin + z * cos;
+  }
+  return positions;
+}
+
+// Fisher–Yates over xyz/rgb triplets in place (rand: seeded [0, 1) generator), so stride
+// sampling of a generated cloud thins it evenly instead of dropping whole rows or parts.
+export function shufflePoints(positions, colors, rand) {
+  for (let i = positions.length / 3 - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    for (let k = 0; k < 3; k++) {
+      const a = i * 3 + k, b = j * 3 + k;
+      const tp = positions[a]; positions[a] = positions[b]; positions[b] = tp;
+      if (colors) { const tc = colors[a]; colors[a] = colors[b]; colors[b] = tc; }
+    }
+  }
+  return positions;
+}
+
+// Evenly strided subset of every per-point array; used to cap huge scans before transfer.
+export function decimateCloud(cloud, maxPoints) {
+  if (!(maxPoints > 0) || cloud.count <= maxPoints) return cloud;
+  const count = Math.floor(maxPoints);
+  const step = cloud.count / count;
+  const pick = (src, itemSize) => {
+    const out = new src.constructor(count * itemSize);
+    for (let i = 0; i < count; i++) {
+      const s = Math.min(cloud.count - 1, Math.floor(i * step));
+      for (let k = 0; k < itemSize; k++) out[i * itemSize + k] = src[s * itemSize + k];
+    }
+    return out;
+  };
+
+  const attributes = {};
+  for (const [name, attr] of Object.entries(cloud.attributes)) {
+    attributes[name] = { ...attr, array: pick(attr.array, attr.itemSize) };
+  }
+  return {
+    ...cloud,
+    count,
+    positions: pick(cloud.positions, 3),
+    colors: cloud.colors ? pick(cloud.colors, 3) : null,
+    attributes,
+    userData: { ...cloud.userData, sourceCount: cloud.userData.sourceCount ?? cloud.count },
+  };
+}
+
+// Every ArrayBuffer backing a cloud, for postMessage transfer lists.
+export function cloudTransferables(cloud) {
+  const list = [cloud.positions.buffer];
+  if (cloud.colors) list.push(cloud.colors.buffer);
+  for (const attr of Object.values(cloud.attributes)) list.push(attr.array.buffer);
+  return [...new Set(list)];
+}
@@ -0,0 +1,138 @@
+// las.js
+// Three-free ASPRS LAS 1.2–1.4 reader (point formats 0–10), with LAZ through laz-perf.
+//
+//   positions       Y-up (LAS x, z, -y), relative to userData.origin (LAS coordinates of
+//                   the bounds center; keeps precision for georeferenced data)
+//   colors          linear RGB (formats 2, 3, 5, 7, 8, 10)
+//   intensity       Uint16, normalized
+//   classification  Uint8 ASPRS class codes
+//
+// laz-perf is imported by URL on first LAZ file; import maps don't reach workers.
+
+import { createCloud, srgbToLinear } from './cloud.js';
+
+const LAZ_PERF_BASE = 'https://cdn.jsdelivr.net/npm/laz-perf@0.0.7/lib/web/';
+const LAZ_PERF_URL = LAZ_PERF_BASE + 'laz-perf.js/+esm';
+
+// Byte offset of the RGB triplet inside each point format's record (null = no color)
+const RGB_OFFSET = [null, null, 20, 28, null, 28, null, 30, 30, null, 30];
+
+let lazPerfPromise = null;
+
+function getLazPerf() {
+  if (!lazPerfPromise) {
+    lazPerfPromise = import(LAZ_PERF_URL).then((mod) => {
+      const create = mod.createLazPerf ?? mod.default;
+      return create({ locateFile: (file) => LAZ_PERF_BASE + file });
+    });
+  }
+  return lazPerfPromise;
+}
+
+export function parseLASHeader(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+  if (magic !== 'LASF') throw new Error('LAS: not a LAS/LAZ file');
+
+  const versionMajor = view.getUint8(24);
+  const versionMinor = view.getUint8(25);
+  const formatByte = view.getUint8(104);
+
+  let pointCount = view.getUint32(107, true);
+  if (versionMajor === 1 && versionMinor >= 4 && view.getUint16(94, true) >= 375) {
+    const count64 = Number(view.getBigUint64(247, true));
+    if (count64 > 0) pointCount = count64;
+  }
+
+  return {
+    version: `${versionMajor}.${versionMinor}`,
+    pointDataOffset: view.getUint32(96, true),
+    // LAZ flags compression in the two high bits of the format id
+    compressed: (formatByte & 0xC0) !== 0,
+    pointFormat: formatByte & 0x3F,
+    pointRecordLength: view.getUint16(105, true),
+    pointCount,
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+    min: [view.getFloat64(187, true), view.getFloat64(203, true), view.getFloat64(219, true)],
+    max: [view.getFloat64(179, true), view.getFloat64(195, true), view.getFloat64(211, true)],
+  };
+}
+
+async function decompressLAZ(buffer, header) {
+  const LazPerf = await getLazPerf();
+  const { pointCount, pointRecordLength } = header;
+  const out = new Uint8Array(pointCount * pointRecordLength);
+
+  const filePtr = LazPerf._malloc(buffer.byteLength);
+  const pointPtr = LazPerf._malloc(pointRecordLength);
+  const laszip = new LazPerf.LASZip();
+  try {
+    LazPerf.HEAPU8.set(new Uint8Array(buffer), filePtr);
+    laszip.open(filePtr, buffer.byteLength);
+    for (let i = 0; i < pointCount; i++) {
+      laszip.getPoint(pointPtr);
+      // HEAPU8 may be replaced when WASM memory grows; re-read it each time
+      out.set(LazPerf.HEAPU8.subarray(pointPtr, pointPtr + pointRecordLength), i * pointRecordLength);
+    }
+  } finally {
+    laszip.delete();
+    LazPerf._free(pointPtr);
+    LazPerf._free(filePtr);
+  }
+  return out.buffer;
+}
+
+function parseRecords(buffer, start, header) {
+  const { pointCount: count, pointFormat, pointRecordLength: stride, scale, offset, min, max } = header;
+  const view = new DataView(buffer);
+
+  // Local origin at the bounds center so Float32 keeps centimetre precision
+  const origin = [0, 1, 2].map((a) => (min[a] + max[a]) * 0.5);
+  const shift = [0, 1, 2].map((a) => offset[a] - origin[a]);
+
+  const positions = new Float32Array(count * 3);
+  const intensity = new Uint16Array(count);
+  const classification = new Uint8Array(count);
+  const rgbOffset = RGB_OFFSET[pointFormat];
+  const rgb = rgbOffset !== null ? new Uint16Array(count * 3) : null;
+  const extended = pointFormat >= 6;
+
+  let maxChannel = 0;
+  for (let i = 0, o = start; i < count; i++, o += stride) {
+    // LAS is Z-up; three.js is Y-up
+    positions[i * 3] = view.getInt32(o, true) * scale[0] + shift[0];
+    positions[i * 3 + 1] = view.getInt32(o + 8, true) * scale[2] + shift[2];
+    positions[i * 3 + 2] = -(view.getInt32(o + 4, true) * scale[1] + shift[1]);
+    intensity[i] = view.getUint16(o + 12, true);
+    classification[i] = extended ? view.getUint8(o + 16) : view.getUint8(o + 15) & 0x1F;
+
+    if (rgb) {
+      for (let c = 0; c < 3; c++) {
+        const v = view.getUint16(o + rgbOffset + c * 2, true);
+        rgb[i * 3 + c] = v;
+        if (v > maxChannel) maxChannel = v;
+      }
+    }
+  }
+
+  let colors = null;
+  if (rgb) {
+    // The spec asks for 16-bit channels, but many writers store 8-bit values
+    const norm = maxChannel > 255 ? 65535 : 255;
+    colors = new Float32Array(count * 3);
+    for (let i = 0; i < colors.length; i++) colors[i] = srgbToLinear(rgb[i] / norm);
+  }
+
+  return createCloud(positions, colors, {
+    intensity: { array: intensity, itemSize: 1, normalized: true },
+    classification: { array: classification, itemSize: 1, normalized: false },
+  }, { format: 'las', origin, las: header });
+}
+
+export async function parseLAS(buffer) {
+  const header = parseLASHeader(buffer);
+  if (header.pointFormat > 10) throw new Error(`LAS: unsupported point format ${header.pointFormat}`);
+  if (header.compressed) return parseRecords(await decompressLAZ(buffer, header), 0, header);
+  return parseRecords(buffer, header.pointDataOffset, header);
+}
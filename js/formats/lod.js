@@ -0,0 +1,36 @@
+// lod.js
+// Three-free description of the chunked octree format shared by js/lod-octree.js (viewer)
+// and tools/ply-to-lod.mjs (writer).
+//
+//   <name>.lod/index.json
+//     { format, version, source, pointCount, hasColor, bounds: { min, max }, pointBounds: { min, max },
+//       spacing, nodes: [{ name, count }] }
+//     bounds is the root cube, pointBounds the tight box around the points.
+//   <name>.lod/nodes/<node>.bin
+//     Float32 xyz × count (little-endian), then Uint8 sRGB × count when hasColor
+//
+// Node names follow Potree: 'r' is the root cube (`bounds`) and each extra digit picks a
+// child octant (bit 2 = +x, bit 1 = +y, bit 0 = +z). Every node holds an even subsample
+// of its cube, children add detail, and no point is stored twice. Positions are already
+// normalized for view (normalizePositions), so nodes need no transform.
+
+export const LOD_FORMAT = 'point-cloud-morph-lod';
+export const LOD_VERSION = 1;
+
+export function lodNodeFile(name) {
+  return `nodes/${name}.bin`;
+}
+
+export function lodNodeByteLength(count, hasColor) {
+  return count * 12 + (hasColor ? count * 3 : 0);
+}
+
+// Child octant `digit` of a cube given as { min: [x, y, z], max: [x, y, z] }
+export function lodChildBounds(bounds, digit) {
+  const min = bounds.min.slice(), max = bounds.max.slice();
+  for (let a = 0; a < 3; a++) {
+    const mid = (min[a] + max[a]) * 0.5;
+    if (digit & (4 >> a)) min[a] = mid; else max[a] = mid;
+  }
+  return { min, max };
+}
@@ -0,0 +1,191 @@
+// pcd.js
+// Three-free Point Cloud Library reader (DATA ascii, binary and binary_compressed).
+// Reads fields of any TYPE/SIZE (intensity is often U1/U2), unpacks `rgb` / `rgba`
+// whether stored as F4 bit patterns or U4, and drops the NaN entries organized
+// (width × height) clouds use for missing returns.
+
+import { createCloud, srgbToLinear } from './cloud.js';
+
+const _floatBits = new Float32Array(1);
+const _uintBits = new Uint32Array(_floatBits.buffer);
+
+// Integer range per TYPE/SIZE, used to normalize non-float intensity
+const INT_RANGE = { U1: 255, U2: 65535, U4: 4294967295, I1: 127, I2: 32767, I4: 2147483647 };
+
+function decompressLZF(inData, outLength) {
+  const inLength = inData.length;
+  const outData = new Uint8Array(outLength);
+  let inPtr = 0;
+  let outPtr = 0;
+
+  do {
+    let ctrl = inData[inPtr++];
+    if (ctrl < 32) {
+      ctrl++;
+      if (outPtr + ctrl > outLength) throw new Error('PCD: LZF output overflow');
+      while (ctrl--) outData[outPtr++] = inData[inPtr++];
+    } else {
+      let len = ctrl >> 5;
+      let ref = outPtr - ((ctrl & 0x1f) << 8) - 1;
+      if (len === 7) len += inData[inPtr++];
+      ref -= inData[inPtr++];
+      if (outPtr + len + 2 > outLength) throw new Error('PCD: LZF output overflow');
+      if (ref < 0) throw new Error('PCD: invalid LZF back reference');
+      for (let n = len + 2; n > 0; n--) outData[outPtr++] = outData[ref++];
+    }
+  } while (inPtr < inLength);
+
+  return outData;
+}
+
+function parseHeader(text) {
+  const match = /^DATA\s+(\S+)[^\n]*\n/im.exec(text);
+  if (!match) throw new Error('PCD: missing DATA line');
+
+  const header = { data: match[1].toLowerCase(), headerLength: match.index + match[0].length };
+  const lines = text.slice(0, match.index).replace(/#.*/g, '').split(/\r?\n/);
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0]) header[parts[0].toLowerCase()] = parts.slice(1);
+  }
+
+  const fields = header.fields ?? [];
+  const size = (header.size ?? []).map(Number);
+  const type = header.type ?? [];
+  const count = header.count ? header.count.map(Number) : fields.map(() => 1);
+  const points = header.points ? parseInt(header.points[0], 10)
+    : parseInt(header.width?.[0] ?? 0, 10) * parseInt(header.height?.[0] ?? 1, 10);
+
+  // Per-field byte offset within a record, and token offset within an ascii line
+  const layout = {};
+  let byteOffset = 0, tokenOffset = 0;
+  fields.forEach((name, i) => {
+    layout[name] = { index: i, type: type[i] + size[i], size: size[i], count: count[i], byteOffset, tokenOffset };
+    byteOffset += size[i] * count[i];
+    tokenOffset += count[i];
+  });
+
+  return { ...header, fields, points, layout, recordSize: byteOffset };
+}
+
+function readBinary(view, offset, type) {
+  switch (type) {
+    case 'F4': return view.getFloat32(offset, true);
+    case 'F8': return view.getFloat64(offset, true);
+    case 'U1': return view.getUint8(offset);
+    case 'U2': return view.getUint16(offset, true);
+    case 'U4': return view.getUint32(offset, true);
+    case 'I1': return view.getInt8(offset);
+    case 'I2': return view.getInt16(offset, true);
+    case 'I4': return view.getInt32(offset, true);
+    default: return NaN;
+  }
+}
+
+// Packed 0x00RRGGBB from an ascii token: F4 fields hold the bits of a float
+function asciiPackedColor(token, type) {
+  if (type === 'F4') {
+    _floatBits[0] = parseFloat(token);
+    return _uintBits[0];
+  }
+  return parseInt(token, 10) >>> 0;
+}
+
+export function parsePCD(data) {
+  // The header is ASCII; decoding a bounded prefix avoids decoding binary payloads
+  const prefix = new TextDecoder().decode(new Uint8Array(data, 0, Math.min(data.byteLength, 65536)));
+  const header = parseHeader(prefix);
+  const { layout, points } = header;
+  if (!layout.x || !layout.y || !layout.z) throw new Error('PCD: x/y/z fields are required');
+
+  const colorField = layout.rgb ?? layout.rgba ?? null;
+  const intensityField = layout.intensity ?? null;
+
+  const positions = new Float32Array(points * 3);
+  const packed = colorField ? new Uint32Array(points) : null;
+  const intensity = intensityField ? new Float32Array(points) : null;
+  let kept = 0;
+
+  const keep = (x, y, z, rgb, i) => {
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return;
+    positions[kept * 3] = x;
+    positions[kept * 3 + 1] = y;
+    positions[kept * 3 + 2] = z;
+    if (packed) packed[kept] = rgb;
+    if (intensity) intensity[kept] = i;
+    kept++;
+  };
+
+  if (header.data === 'ascii') {
+    const text = new TextDecoder().decode(new Uint8Array(data, header.headerLength));
+    for (const line of text.split(/\r?\n/)) {
+      const t = line.trim().split(/\s+/);
+      if (t.length < 3 || kept >= points) continue;
+      keep(
+        parseFloat(t[layout.x.tokenOffset]),
+        parseFloat(t[layout.y.tokenOffset]),
+        parseFloat(t[layout.z.tokenOffset]),
+        colorField ? asciiPackedColor(t[colorField.tokenOffset], colorField.type) : 0,
+        intensityField ? parseFloat(t[intensityField.tokenOffset]) : 0
+      );
+    }
+  } else if (header.data === 'binary' || header.data === 'binary_compressed') {
+    let view, offsetOf;
+    if (header.data === 'binary') {
+      // Row-major records
+      view = new DataView(data, header.headerLength);
+      offsetOf = (field, i) => i * header.recordSize + field.byteOffset;
+    } else {
+      // Column-major: each field's values are stored contiguously after LZF
+      const sizes = new DataView(data, header.headerLength, 8);
+      const compressed = new Uint8Array(data, header.headerLength + 8, sizes.getUint32(0, true));
+      view = new DataView(decompressLZF(compressed, sizes.getUint32(4, true)).buffer);
+      offsetOf = (field, i) => points * field.byteOffset + i * field.size * field.count;
+    }
+
+    for (let i = 0; i < points; i++) {
+      let rgb = 0;
+      if (colorField) {
+        // Same bytes whether TYPE says F4 or U4: little-endian B, G, R, (A)
+        const o = offsetOf(colorField, i);
+        rgb = (view.getUint8(o + 2) << 16) | (view.getUint8(o + 1) << 8) | view.getUint8(o);
+      }
+      keep(
+        readBinary(view, offsetOf(layout.x, i), layout.x.type),
+        readBinary(view, offsetOf(layout.y, i), layout.y.type),
+        readBinary(view, offsetOf(layout.z, i), layout.z.type),
+        rgb,
+        intensityField ? readBinary(view, offsetOf(intensityField, i), intensityField.type) : 0
+      );
+    }
+  } else {
+    throw new Error(`PCD: unsupported DATA type "${header.data}"`);
+  }
+
+  let colors = null;
+  if (packed) {
+    colors = new Float32Array(kept * 3);
+    for (let i = 0; i < kept; i++) {
+      const c = packed[i];
+      colors[i * 3] = srgbToLinear(((c >> 16) & 0xff) / 255);
+      colors[i * 3 + 1] = srgbToLinear(((c >> 8) & 0xff) / 255);
+      colors[i * 3 + 2] = srgbToLinear((c & 0xff) / 255);
+    }
+  }
+
+  const attributes = {};
+  if (intensity) {
+    // Integer types scale by their range; floats are kept if already 0..1, else by max
+    const values = intensity.slice(0, kept);
+    let max = 0;
+    for (const v of values) if (v > max) max = v;
+    const norm = INT_RANGE[intensityField.type] ?? (max > 1 ? max : 1);
+    for (let i = 0; i < kept; i++) values[i] /= norm;
+    attributes.intensity = { array: values, itemSize: 1, normalized: false };
+  }
+
+  return createCloud(positions.slice(0, kept * 3), colors, attributes, {
+    format: 'pcd',
+    pcd: { version: header.version?.[0], data: header.data, fields: header.fields, viewpoint: header.viewpoint },
+  });
+}
@@ -0,0 +1,133 @@
+// ply.js
+// Three-free PLY vertex reader (ascii, binary_little_endian, binary_big_endian).
+// Only the vertex element is kept: x/y/z and, when present, red/green/blue under the
+// same names PLYLoader accepts. Other elements (faces, …) are skipped.
+
+import { createCloud, srgbToLinear } from './cloud.js';
+
+const TYPE_SIZE = {
+  char: 1, int8: 1, uchar: 1, uint8: 1,
+  short: 2, int16: 2, ushort: 2, uint16: 2,
+  int: 4, int32: 4, uint: 4, uint32: 4,
+  float: 4, float32: 4, double: 8, float64: 8,
+};
+
+const COLOR_NAMES = {
+  r: ['red', 'diffuse_red', 'r', 'diffuse_r'],
+  g: ['green', 'diffuse_green', 'g', 'diffuse_g'],
+  b: ['blue', 'diffuse_blue', 'b', 'diffuse_b'],
+};
+
+function readScalar(view, offset, type, little) {
+  switch (type) {
+    case 'char': case 'int8': return view.getInt8(offset);
+    case 'uchar': case 'uint8': return view.getUint8(offset);
+    case 'short': case 'int16': return view.getInt16(offset, little);
+    case 'ushort': case 'uint16': return view.getUint16(offset, little);
+    case 'int': case 'int32': return view.getInt32(offset, little);
+    case 'uint': case 'uint32': return view.getUint32(offset, little);
+    case 'float': case 'float32': return view.getFloat32(offset, little);
+    case 'double': case 'float64': return view.getFloat64(offset, little);
+    default: throw new Error(`PLY: unknown property type "${type}"`);
+  }
+}
+
+function parseHeader(bytes) {
+  // Header is ASCII and ends with "end_header\n"
+  const prefix = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const match = /end_header\r?\n/.exec(prefix);
+  if (!match || !prefix.startsWith('ply')) throw new Error('PLY: not a PLY file');
+
+  const header = { format: 'ascii', elements: [], headerLength: match.index + match[0].length };
+  let current = null;
+  for (const raw of prefix.slice(0, match.index).split(/\r?\n/)) {
+    const t = raw.trim().split(/\s+/);
+    if (t[0] === 'format') header.format = t[1];
+    else if (t[0] === 'element') {
+      current = { name: t[1], count: parseInt(t[2], 10), properties: [] };
+      header.elements.push(current);
+    } else if (t[0] === 'property' && current) {
+      if (t[1] === 'list') current.properties.push({ list: true, countType: t[2], type: t[3], name: t[4] });
+      else current.properties.push({ list: false, type: t[1], name: t[2] });
+    }
+  }
+  return header;
+}
+
+// Color channels are scaled by their integer range (PLYLoader always uses 255) and linearized.
+function channelScale(prop) {
+  if (!prop) return 1;
+  const size = TYPE_SIZE[prop.type];
+  if (prop.type.startsWith('float') || prop.type === 'double') return 1;
+  return size === 1 ? 255 : size === 2 ? 65535 : 4294967295;
+}
+
+export function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const header = parseHeader(bytes);
+  const vertex = header.elements.find((e) => e.name === 'vertex');
+  if (!vertex) throw new Error('PLY: no vertex element');
+
+  const propIndex = (names) => vertex.properties.findIndex((p) => names.includes(p.name));
+  const ix = propIndex(['x']), iy = propIndex(['y']), iz = propIndex(['z']);
+  if (ix < 0 || iy < 0 || iz < 0) throw new Error('PLY: vertex x/y/z missing');
+  const ir = propIndex(COLOR_NAMES.r), ig = propIndex(COLOR_NAMES.g), ib = propIndex(COLOR_NAMES.b);
+  const hasColor = ir >= 0 && ig >= 0 && ib >= 0;
+  const scale = [channelScale(vertex.properties[ir]), channelScale(vertex.properties[ig]), channelScale(vertex.properties[ib])];
+
+  const count = vertex.count;
+  const positions = new Float32Array(count * 3);
+  const colors = hasColor ? new Float32Array(count * 3) : null;
+  const values = new Float64Array(vertex.properties.length);
+
+  const store = (i) => {
+    positions[i * 3] = values[ix];
+    positions[i * 3 + 1] = values[iy];
+    positions[i * 3 + 2] = values[iz];
+    if (colors) {
+      colors[i * 3] = srgbToLinear(values[ir] / scale[0]);
+      colors[i * 3 + 1] = srgbToLinear(values[ig] / scale[1]);
+      colors[i * 3 + 2] = srgbToLinear(values[ib] / scale[2]);
+    }
+  };
+
+  if (header.format === 'ascii') {
+    const text = new TextDecoder().decode(bytes.subarray(header.headerLength));
+    const lines = text.split(/\r?\n/);
+    let line = 0;
+    for (const element of header.elements) {
+      if (element !== vertex) {
+        line += element.count;
+        continue;
+      }
+      for (let i = 0; i < count; i++, line++) {
+        const t = lines[line].trim().split(/\s+/);
+        for (let p = 0; p < vertex.properties.length; p++) values[p] = Number(t[p]);
+        store(i);
+      }
+      break;
+    }
+  } else {
+    const little = header.format === 'binary_little_endian';
+    const view = new DataView(buffer);
+    let offset = header.headerLength;
+    for (const element of header.elements) {
+      for (let i = 0; i < element.count; i++) {
+        for (let p = 0; p < element.properties.length; p++) {
+          const prop = element.properties[p];
+          if (prop.list) {
+            const n = readScalar(view, offset, prop.countType, little);
+            offset += TYPE_SIZE[prop.countType] + n * TYPE_SIZE[prop.type];
+          } else {
+            if (element === vertex) values[p] = readScalar(view, offset, prop.type, little);
+            offset += TYPE_SIZE[prop.type];
+          }
+        }
+        if (element === vertex) store(i);
+      }
+      if (element === vertex) break;
+    }
+  }
+
+  return createCloud(positions, colors, {}, { format: 'ply' });
+}
@@ -0,0 +1,163 @@
+// xyz.js
+// Three-free incremental parser for plain-text point lists (XYZ, PTS, CSV/TXT).
+//
+//   - delimiter: auto-detected from the first line (tab, comma, semicolon, whitespace)
+//   - columns:   from a header row when present (x/y/z, r/g/b or red/green/blue,
+//                i/intensity), else guessed from the column count (PTS: x y z i r g b)
+//   - colors:    0–255 or 0–1 is detected from the largest channel value seen
+//   - PTS:       a lone leading point-count line is skipped
+//
+// Positions are stored relative to the first point (userData.origin) so large survey
+// coordinates survive the trip to Float32.
+
+import { createCloud, GrowableFloat32Array, srgbToLinear } from './cloud.js';
+
+const HEADER_ALIASES = {
+  x: ['x'],
+  y: ['y'],
+  z: ['z'],
+  r: ['r', 'red'],
+  g: ['g', 'green'],
+  b: ['b', 'blue'],
+  intensity: ['i', 'intensity', 'scalar_intensity'],
+};
+
+function guessColumns(count) {
+  if (count >= 7) return { x: 0, y: 1, z: 2, intensity: 3, r: 4, g: 5, b: 6 };
+  if (count >= 6) return { x: 0, y: 1, z: 2, r: 3, g: 4, b: 5 };
+  if (count === 4) return { x: 0, y: 1, z: 2, intensity: 3 };
+  return { x: 0, y: 1, z: 2 };
+}
+
+// ';' before ',': semicolon files use the comma as their decimal separator (1,5;2,25;3,0)
+function detectDelimiter(line) {
+  if (line.includes('\t')) return '\t';
+  if (line.includes(';')) return ';';
+  if (line.includes(',')) return ',';
+  return null; // whitespace
+}
+
+// Feed text with push() and call finish() for the cloud.
+// columns: { x, y, z, r?, g?, b?, intensity? } zero-based; delimiter: null = auto.
+export class XYZParser {
+  constructor({ columns = null, delimiter = null } = {}) {
+    this.columns = columns ? { ...columns } : null;
+    this.delimiter = delimiter;
+    this.autoDelimiter = delimiter === null;
+    this.ready = false; // columns resolved and output arrays allocated
+    this.remainder = '';
+    this.origin = null;
+    this.positions = new GrowableFloat32Array();
+    this.colors = null;
+    this.intensity = null;
+    this.maxColor = 0;
+  }
+
+  split(line) {
+    if (this.delimiter === null) return line.trim().split(/\s+/);
+    const parts = line.split(this.delimiter);
+    // Semicolon CSV usually comes with decimal commas
+    if (this.delimiter === ';') for (let i = 0; i < parts.length; i++) parts[i] = parts[i].replace(',', '.');
+    return parts;
+  }
+
+  setupColumns(tokens, isHeader) {
+    if (!this.columns) {
+      if (isHeader) {
+        const columns = {};
+        const names = tokens.map((t) => t.trim().toLowerCase());
+        for (const key in HEADER_ALIASES) {
+          const index = names.findIndex((n) => HEADER_ALIASES[key].includes(n));
+          if (index >= 0) columns[key] = index;
+        }
+        this.columns = columns;
+      } else {
+        this.columns = guessColumns(tokens.length);
+      }
+    }
+
+    const c = this.columns;
+    if (c.x === undefined || c.y === undefined || c.z === undefined) {
+      throw new Error('XYZ: could not find x/y/z columns');
+    }
+    if (c.r !== undefined && c.g !== undefined && c.b !== undefined) this.colors = new GrowableFloat32Array();
+    if (c.intensity !== undefined) this.intensity = new GrowableFloat32Array();
+    this.ready = true;
+  }
+
+  parseLine(raw) {
+    let line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    if (!this.ready) {
+      // First meaningful line: PTS count, delimiter and header detection
+      if (/^\d+$/.test(line)) return;
+      if (line.startsWith('//')) line = line.slice(2);
+      if (this.autoDelimiter) this.delimiter = detectDelimiter(line);
+
+      const tokens = this.split(line);
+      const isHeader = tokens.some((t) => t.trim() !== '' && isNaN(Number(t)));
+      this.setupColumns(tokens, isHeader);
+      if (isHeader) return;
+    }
+
+    const tokens = this.split(line);
+    const c = this.columns;
+    const x = Number(tokens[c.x]), y = Number(tokens[c.y]), z = Number(tokens[c.z]);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return;
+
+    if (!this.origin) this.origin = [x, y, z];
+    this.positions.push(x - this.origin[0]);
+    this.positions.push(y - this.origin[1]);
+    this.positions.push(z - this.origin[2]);
+
+    if (this.colors) {
+      for (const key of ['r', 'g', 'b']) {
+        const v = Number(tokens[c[key]]) || 0;
+        if (v > this.maxColor) this.maxColor = v;
+        this.colors.push(v);
+      }
+    }
+    if (this.intensity) this.intensity.push(Number(tokens[c.intensity]) || 0);
+  }
+
+  push(chunk) {
+    const lines = (this.remainder + chunk).split(/\r?\n/);
+    this.remainder = lines.pop();
+    for (const line of lines) this.parseLine(line);
+  }
+
+  finish() {
+    if (this.remainder) this.parseLine(this.remainder);
+    this.remainder = '';
+
+    let colors = null;
+    if (this.colors && this.colors.length) {
+      colors = this.colors.toArray();
+      const norm = this.maxColor > 1 ? 255 : 1;
+      for (let i = 0; i < colors.length; i++) colors[i] = srgbToLinear(colors[i] / norm);
+    }
+
+    const attributes = {};
+    if (this.intensity && this.intensity.length) {
+      // Scale whatever range the exporter used (PTS: -2048..2047, others 0..65535) to 0..1
+      const values = this.intensity.toArray();
+      let min = Infinity, max = -Infinity;
+      for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      const range = max - min || 1;
+      for (let i = 0; i < values.length; i++) values[i] = (values[i] - min) / range;
+      attributes.intensity = { array: values, itemSize: 1, normalized: false };
+    }
+
+    return createCloud(this.positions.toArray(), colors, attributes, { format: 'xyz', origin: this.origin ?? [0, 0, 0] });
+  }
+}
+
+export function parseXYZ(text, options) {
+  const parser = new XYZParser(options);
+  parser.push(text);
+  return parser.finish();
+}
@@ -6,7 +6,11 @@
  * @author Don McCurdy / https://www.donmccurdy.com
  */
 
-GLTFLoader =  function (THREE) {
+import * as THREE from 'three';
+import { DDSLoader } from 'three/addons/loaders/DDSLoader.js';
+import { mergeGeometries, toTrianglesDrawMode } from 'three/addons/utils/BufferGeometryUtils.js';
+
+var GLTFLoader = ( function () {
 
 	function GLTFLoader( manager ) {
 
@@ -252,14 +256,8 @@ GLTFLoader =  function (THREE) {
 	 */
 	function GLTFTextureDDSExtension() {
 
-		if ( ! THREE.DDSLoader ) {
-
-			throw new Error( 'THREE.GLTFLoader: Attempting to load .dds texture without importing THREE.DDSLoader' );
-
-		}
-
 		this.name = EXTENSIONS.MSFT_TEXTURE_DDS;
-		this.ddsLoader = new THREE.DDSLoader();
+		this.ddsLoader = new DDSLoader();
 
 	}
 
@@ -904,14 +902,8 @@ GLTFLoader =  function (THREE) {
 
 	// Spline Interpolation
 	// Specification: https://github.com/KhronosGroup/glTF/blob/master/specification/2.0/README.md#appendix-c-spline-interpolation
-	function GLTFCubicSplineInterpolant( parameterPositions, sampleValues, sampleSize, resultBuffer ) {
-
-		THREE.Interpolant.call( this, parameterPositions, sampleValues, sampleSize, resultBuffer );
-
-	}
-
-	GLTFCubicSplineInterpolant.prototype = Object.create( THREE.Interpolant.prototype );
-	GLTFCubicSplineInterpolant.prototype.constructor = GLTFCubicSplineInterpolant;
+	// THREE.Interpolant is an ES class now, so subclass it instead of calling its constructor
+	class GLTFCubicSplineInterpolant extends THREE.Interpolant {}
 
 	GLTFCubicSplineInterpolant.prototype.interpolate_ = function ( i1, t0, t, t1 ) {
 
@@ -1074,7 +1066,7 @@ GLTFLoader =  function (THREE) {
 		TEXCOORD_0: 'uv',
 		TEXCOORD0: 'uv', // deprecated
 		TEXCOORD: 'uv', // deprecated
-		TEXCOORD_1: 'uv2',
+		TEXCOORD_1: 'uv1',
 		COLOR_0: 'color',
 		COLOR0: 'color', // deprecated
 		COLOR: 'color', // deprecated
@@ -1988,7 +1980,7 @@ GLTFLoader =  function (THREE) {
 
 			// Load Texture resource.
 
-			var loader = THREE.Loader.Handlers.get( sourceURI );
+			var loader = parser.options.manager.getHandler( sourceURI );
 
 			if ( ! loader ) {
 
@@ -2206,9 +2198,9 @@ GLTFLoader =  function (THREE) {
 			}
 
 			// baseColorTexture, emissiveTexture, and specularGlossinessTexture use sRGB encoding.
-			if ( material.map ) material.map.encoding = THREE.sRGBEncoding;
-			if ( material.emissiveMap ) material.emissiveMap.encoding = THREE.sRGBEncoding;
-			if ( material.specularMap ) material.specularMap.encoding = THREE.sRGBEncoding;
+			if ( material.map ) material.map.colorSpace = THREE.SRGBColorSpace;
+			if ( material.emissiveMap ) material.emissiveMap.colorSpace = THREE.SRGBColorSpace;
+			if ( material.specularMap ) material.specularMap.colorSpace = THREE.SRGBColorSpace;
 
 			assignExtrasToUserData( material, materialDef );
 
@@ -2238,7 +2230,7 @@ GLTFLoader =  function (THREE) {
 			if ( ! threeAttributeName ) continue;
 			if ( threeAttributeName in geometry.attributes ) continue;
 
-			geometry.addAttribute( threeAttributeName, bufferAttribute );
+			geometry.setAttribute( threeAttributeName, bufferAttribute );
 
 		}
 
@@ -2360,7 +2352,7 @@ GLTFLoader =  function (THREE) {
 					geometry.name = baseGeometry.name;
 					geometry.userData = baseGeometry.userData;
 
-					for ( var key in baseGeometry.attributes ) geometry.addAttribute( key, baseGeometry.attributes[ key ] );
+					for ( var key in baseGeometry.attributes ) geometry.setAttribute( key, baseGeometry.attributes[ key ] );
 					for ( var key in baseGeometry.morphAttributes ) geometry.morphAttributes[ key ] = baseGeometry.morphAttributes[ key ];
 
 					var indices = [];
@@ -2384,7 +2376,7 @@ GLTFLoader =  function (THREE) {
 
 					return [ geometry ];
 
-				} else if ( geometries.length > 1 && THREE.BufferGeometryUtils !== undefined ) {
+				} else if ( geometries.length > 1 ) {
 
 					// Tries to merge geometries with BufferGeometryUtils if possible
 
@@ -2405,7 +2397,7 @@ GLTFLoader =  function (THREE) {
 
 					} else {
 
-						var geometry = THREE.BufferGeometryUtils.mergeBufferGeometries( geometries, true );
+						var geometry = mergeGeometries( geometries, true );
 
 						cache.push( { geometry: geometry, baseGeometries: geometries } );
 
@@ -2483,11 +2475,11 @@ GLTFLoader =  function (THREE) {
 
 						if ( primitive.mode === WEBGL_CONSTANTS.TRIANGLE_STRIP ) {
 
-							mesh.drawMode = THREE.TriangleStripDrawMode;
+							mesh.geometry = toTrianglesDrawMode( mesh.geometry, THREE.TriangleStripDrawMode );
 
 						} else if ( primitive.mode === WEBGL_CONSTANTS.TRIANGLE_FAN ) {
 
-							mesh.drawMode = THREE.TriangleFanDrawMode;
+							mesh.geometry = toTrianglesDrawMode( mesh.geometry, THREE.TriangleFanDrawMode );
 
 						}
 
@@ -2603,7 +2595,7 @@ GLTFLoader =  function (THREE) {
 									: material.clone();
 
 								if ( useSkinning ) cachedMaterial.skinning = true;
-								if ( useVertexColors ) cachedMaterial.vertexColors = THREE.VertexColors;
+								if ( useVertexColors ) cachedMaterial.vertexColors = true;
 								if ( useFlatShading ) cachedMaterial.flatShading = true;
 								if ( useMorphTargets ) cachedMaterial.morphTargets = true;
 								if ( useMorphNormals ) cachedMaterial.morphNormals = true;
@@ -2620,13 +2612,6 @@ GLTFLoader =  function (THREE) {
 
 						// workarounds for mesh and geometry
 
-						if ( material.aoMap && geometry.attributes.uv2 === undefined && geometry.attributes.uv !== undefined ) {
-
-							console.log( 'THREE.GLTFLoader: Duplicating UVs to support aoMap.' );
-							geometry.addAttribute( 'uv2', new THREE.BufferAttribute( geometry.attributes.uv.array, 2 ) );
-
-						}
-
 						if ( material.isGLTFSpecularGlossinessMaterial ) {
 
 							// for GLTFSpecularGlossinessMaterial(ShaderMaterial) uniforms runtime update
@@ -2682,7 +2667,7 @@ GLTFLoader =  function (THREE) {
 
 		if ( cameraDef.type === 'perspective' ) {
 
-			camera = new THREE.PerspectiveCamera( THREE.Math.radToDeg( params.yfov ), params.aspectRatio || 1, params.znear || 1, params.zfar || 2e6 );
+			camera = new THREE.PerspectiveCamera( THREE.MathUtils.radToDeg( params.yfov ), params.aspectRatio || 1, params.znear || 1, params.zfar || 2e6 );
 
 		} else if ( cameraDef.type === 'orthographic' ) {
 
@@ -3105,4 +3090,6 @@ GLTFLoader =  function (THREE) {
 
 	return GLTFLoader;
 
-}
\ No newline at end of file
+} )();
+
+export { GLTFLoader };
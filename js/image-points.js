@@ -0,0 +1,132 @@
+// image-points.js
+// Turns a PNG/JPG (logo, photo) into a flat point cloud for morph targets: pixels are
+// kept with a probability given by their alpha or brightness, so solid areas come out
+// dense and soft edges thin out. Points take the pixel color (linear, like PLYLoader)
+// and can be pushed out in depth by luminance for a relief effect.
+//
+// The image is centered and scaled to the width prepareGeometryForView() gives models.
+
+import * as THREE from 'three';
+import { VIEW_EXTENT, shufflePoints, srgbToLinear } from './formats/cloud.js';
+
+export const IMAGE_SAMPLING_MODES = ['auto', 'alpha', 'brightness', 'darkness'];
+
+const MAX_IMAGE_SIDE = 1024; // larger images are scaled down before sampling
+
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) SRGB_TO_LINEAR[i] = srgbToLinear(i / 255);
+
+export const DEFAULT_IMAGE_POINT_OPTIONS = {
+  mode: 'auto',    // auto = alpha when the image has transparency, brightness otherwise
+  threshold: 0.08, // weights below this are treated as empty
+  depth: 0.0,      // luminance relief (world units); 0 = flat
+  jitter: 0.75,    // fraction of a grid cell each point may wander, hides the pixel grid
+};
+
+async function decodeImage(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${url}`);
+  return createImageBitmap(await response.blob());
+}
+
+function readPixels(image) {
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) throw new Error('2D context unavailable');
+  ctx.drawImage(image, 0, 0, width, height);
+  return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+// Sampling weight per pixel, 0..1
+function pixelWeights({ data, width, height }, mode, threshold) {
+  if (mode === 'auto') {
+    mode = 'brightness';
+    for (let o = 3; o < data.length; o += 4) {
+      if (data[o] < 250) { mode = 'alpha'; break; }
+    }
+  }
+  const weights = new Float32Array(width * height);
+  let total = 0;
+  for (let i = 0; i < weights.length; i++) {
+    const o = i * 4;
+    const alpha = data[o + 3] / 255;
+    const luma = (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255;
+    let w = mode === 'alpha' ? alpha : (mode === 'darkness' ? 1 - luma : luma) * alpha;
+    if (w < threshold) w = 0;
+    weights[i] = w;
+    total += w;
+  }
+  return { weights, total };
+}
+
+// targetCount is the approximate number of points; matching the base model's count keeps
+// both keyframes thinned by the same fraction.
+export function imageToPointGeometry(image, targetCount, options = {}, rand = Math.random) {
+  const opts = { ...DEFAULT_IMAGE_POINT_OPTIONS, ...options };
+  const pixels = readPixels(image);
+  const { data, width, height } = pixels;
+  const { weights, total } = pixelWeights(pixels, opts.mode, opts.threshold);
+  if (!total) return null;
+
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!weights[y * width + x]) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  // Each grid cell keeps its pixel with probability = weight, so count ≈ total / step²;
+  // below one pixel per cell, several points land in the same pixel and the jitter spreads them.
+  const step = Math.sqrt(total / Math.max(1, targetCount || total));
+  const worldPerPx = VIEW_EXTENT / Math.max(maxX - minX + 1, maxY - minY + 1);
+  const jitter = Math.max(0, Math.min(1, opts.jitter)) * Math.max(step, 1);
+  const cx = (minX + maxX + 1) * 0.5;
+  const cy = (minY + maxY + 1) * 0.5;
+  const pos = [];
+  const col = [];
+  for (let gy = minY; gy <= maxY; gy += step) {
+    for (let gx = minX; gx <= maxX; gx += step) {
+      const fx = gx + (rand() - 0.5) * jitter;
+      const fy = gy + (rand() - 0.5) * jitter;
+      const sx = Math.floor(fx), sy = Math.floor(fy);
+      if (sx < minX || sy < minY || sx > maxX || sy > maxY) continue;
+      const w = weights[sy * width + sx];
+      if (!w || rand() >= w) continue;
+      const o = (sy * width + sx) * 4;
+      const luma = (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255;
+      pos.push((fx + 0.5 - cx) * worldPerPx, (cy - fy - 0.5) * worldPerPx, (luma - 0.5) * opts.depth);
+      col.push(SRGB_TO_LINEAR[data[o]], SRGB_TO_LINEAR[data[o + 1]], SRGB_TO_LINEAR[data[o + 2]]);
+    }
+  }
+
+  const positions = new Float32Array(pos);
+  const colors = new Float32Array(col);
+  shufflePoints(positions, colors, rand);
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geom.computeBoundingBox();
+  geom.computeBoundingSphere();
+  return geom;
+}
+
+export async function loadImagePointGeometry(url, targetCount, options = {}, rand = Math.random) {
+  const image = await decodeImage(url);
+  try {
+    const geom = imageToPointGeometry(image, targetCount, options, rand);
+    if (!geom) throw new Error(`${url}: no pixels above the sampling threshold`);
+    return geom;
+  } finally {
+    image.close?.();
+  }
+}
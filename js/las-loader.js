@@ -0,0 +1,68 @@
+import {
+	FileLoader,
+	Loader
+} from 'three';
+import { parseLAS } from './formats/las.js';
+import { cloudToGeometry } from './cloud-geometry.js';
+
+/**
+ * LASLoader: reads ASPRS LAS 1.2–1.4 point clouds (point formats 0–10) and their
+ * LAZ-compressed variants into a BufferGeometry with:
+ *
+ *   position        Float32, Y-up (LAS x, z, -y), relative to geometry.userData.origin
+ *                   (LAS coordinates of the bounds center; keeps precision for
+ *                   georeferenced data)
+ *   color           linear RGB (formats 2, 3, 5, 7, 8, 10)
+ *   intensity       Uint16, normalized → 0..1 in shaders
+ *   classification  Uint8 ASPRS class codes
+ *
+ * Parsing lives in js/formats/las.js so the model worker can share it; LAZ decompression
+ * uses laz-perf (WASM), imported on first use.
+ *
+ * Usage:
+ *	const loader = new LASLoader();
+ *	loader.load( 'point/scan.laz', ( geometry ) => { ... } );
+ */
+
+class LASLoader extends Loader {
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( buffer ) {
+
+			scope.parse( buffer ).then( onLoad ).catch( function ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			} );
+
+		}, onProgress, onError );
+
+	}
+
+	async parse( buffer ) {
+
+		return cloudToGeometry( await parseLAS( buffer ) );
+
+	}
+
+}
+
+export { LASLoader };
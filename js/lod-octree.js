@@ -0,0 +1,192 @@
+// lod-octree.js
+// Streams a chunked point octree (format: js/formats/lod.js, written by
+// tools/ply-to-lod.mjs) and shows the nodes that matter most on screen within a point
+// budget. Node objects are plain THREE.Points sharing one material, so a single
+// makeGlowMaterial() instance drives glow, wind and fog across every node.
+
+import * as THREE from 'three';
+import { srgbToLinear } from './formats/cloud.js';
+import { LOD_FORMAT, LOD_VERSION, lodChildBounds, lodNodeFile } from './formats/lod.js';
+
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) SRGB_TO_LINEAR[i] = srgbToLinear(i / 255);
+
+const _frustum = new THREE.Frustum();
+const _projScreen = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _camLocal = new THREE.Vector3();
+
+export async function loadLodIndex(baseUrl) {
+  const response = await fetch(`${baseUrl}/index.json`);
+  if (!response.ok) throw new Error(`LOD: ${response.status} ${response.statusText} for ${baseUrl}/index.json`);
+  const index = await response.json();
+  if (index.format !== LOD_FORMAT) throw new Error(`LOD: ${baseUrl} is not a ${LOD_FORMAT} index`);
+  if (index.version > LOD_VERSION) throw new Error(`LOD: index version ${index.version} is newer than this viewer`);
+  return index;
+}
+
+const toBox3 = (bounds) => new THREE.Box3().setFromArray([...bounds.min, ...bounds.max]);
+
+export class LODOctree {
+  constructor(baseUrl, index, { pointBudget = 2_000_000, minNodePixels = 120, maxConcurrent = 4 } = {}) {
+    this.baseUrl = baseUrl;
+    this.index = index;
+    this.pointBudget = pointBudget;
+    this.minNodePixels = minNodePixels; // children smaller than this on screen are skipped
+    this.maxConcurrent = maxConcurrent;
+    this.object = new THREE.Group();
+    this.material = null;
+    this.bounds = toBox3(index.bounds);
+    this.visiblePoints = 0;
+    this.loadedPoints = 0;
+    this.loading = 0;
+    this.frame = 0;
+    this.abort = new AbortController();
+
+    // Node boxes come from the name; the file only lists which nodes exist
+    this.nodes = new Map();
+    const counts = new Map(index.nodes.map((n) => [n.name, n.count]));
+    const add = (name, bounds) => {
+      const box = toBox3(bounds);
+      const node = {
+        name, box, count: counts.get(name),
+        sphere: box.getBoundingSphere(new THREE.Sphere()),
+        children: [], object: null, pending: false, lastUsed: 0,
+      };
+      this.nodes.set(name, node);
+      for (let d = 0; d < 8; d++) {
+        if (counts.has(name + d)) node.children.push(add(name + d, lodChildBounds(bounds, d)));
+      }
+      return node;
+    };
+    this.root = add('r', index.bounds);
+  }
+
+  setMaterial(material) {
+    this.material = material;
+    for (const node of this.nodes.values()) {
+      if (node.object) node.object.material = material;
+    }
+  }
+
+  // Best-first traversal by projected node size; call once per frame.
+  update(camera, viewportHeight) {
+    this.frame++;
+    this.object.updateWorldMatrix(true, false);
+    _projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse).multiply(this.object.matrixWorld);
+    _frustum.setFromProjectionMatrix(_projScreen);
+    _inverse.copy(this.object.matrixWorld).invert();
+    _camLocal.setFromMatrixPosition(camera.matrixWorld).applyMatrix4(_inverse);
+    const pxPerUnit = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+
+    const weight = (node) => {
+      const distance = Math.max(_camLocal.distanceTo(node.sphere.center) - node.sphere.radius, 1e-6);
+      return node.sphere.radius / distance * pxPerUnit;
+    };
+
+    const queue = [{ node: this.root, weight: Infinity }];
+    const shown = new Set();
+    let budget = this.pointBudget;
+    while (queue.length) {
+      let best = 0;
+      for (let i = 1; i < queue.length; i++) if (queue[i].weight > queue[best].weight) best = i;
+      const { node } = queue[best];
+      queue[best] = queue[queue.length - 1];
+      queue.pop();
+
+      if (!_frustum.intersectsSphere(node.sphere) || node.count > budget) continue;
+      if (!node.object) {
+        this.requestNode(node);
+        continue; // children wait for their parent
+      }
+      shown.add(node);
+      node.lastUsed = this.frame;
+      budget -= node.count;
+      for (const child of node.children) {
+        const w = weight(child);
+        if (w >= this.minNodePixels) queue.push({ node: child, weight: w });
+      }
+    }
+
+    this.visiblePoints = this.pointBudget - budget;
+    for (const node of this.nodes.values()) {
+      if (node.object) node.object.visible = shown.has(node);
+    }
+    this.evict(shown);
+  }
+
+  requestNode(node) {
+    if (node.pending || this.loading >= this.maxConcurrent) return;
+    node.pending = true;
+    this.loading++;
+    fetch(`${this.baseUrl}/${lodNodeFile(node.name)}`, { signal: this.abort.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.arrayBuffer();
+      })
+      .then((buffer) => this.addNode(node, buffer))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error(`[LOD] node ${node.name} failed:`, err);
+      })
+      .finally(() => {
+        node.pending = false;
+        this.loading--;
+      });
+  }
+
+  addNode(node, buffer) {
+    if (this.abort.signal.aborted) return; // disposed while the body was downloading
+    const count = node.count;
+    const geom = new THREE.BufferGeometry();
+    const position = new THREE.BufferAttribute(new Float32Array(buffer, 0, count * 3), 3);
+    geom.setAttribute('position', position);
+    // No morph in LOD mode: the morph/seed slots reuse the same GPU buffers
+    geom.setAttribute('morphPosition', position);
+    geom.setAttribute('seedPosition', position);
+    if (this.index.hasColor) {
+      const srgb = new Uint8Array(buffer, count * 12, count * 3);
+      const linear = new Float32Array(count * 3);
+      for (let i = 0; i < linear.length; i++) linear[i] = SRGB_TO_LINEAR[srgb[i]];
+      const color = new THREE.BufferAttribute(linear, 3);
+      geom.setAttribute('color', color);
+      geom.setAttribute('morphColor', color);
+    }
+    geom.boundingBox = node.box.clone();
+    geom.boundingSphere = node.sphere.clone();
+
+    node.object = new THREE.Points(geom, this.material);
+    node.object.visible = false; // the next update() decides
+    node.lastUsed = this.frame;
+    this.object.add(node.object);
+    this.loadedPoints += count;
+  }
+
+  // Keep at most twice the budget resident; drop the longest-unused hidden nodes first.
+  evict(shown) {
+    if (this.loadedPoints <= this.pointBudget * 2) return;
+    const idle = [];
+    for (const node of this.nodes.values()) {
+      if (node.object && !shown.has(node)) idle.push(node);
+    }
+    idle.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const node of idle) {
+      if (this.loadedPoints <= this.pointBudget * 2) break;
+      this.disposeNode(node);
+    }
+  }
+
+  disposeNode(node) {
+    this.object.remove(node.object);
+    node.object.geometry.dispose();
+    node.object = null;
+    this.loadedPoints -= node.count;
+  }
+
+  dispose() {
+    this.abort.abort();
+    for (const node of this.nodes.values()) {
+      if (node.object) this.disposeNode(node);
+    }
+    this.object.removeFromParent();
+  }
+}
@@ -0,0 +1,193 @@
+// mesh-sampler.js
+// Turns a loaded scene graph (glTF, OBJ, STL, …) into one point geometry (position +
+// linear color) that buildPoints() and the morph system accept: point primitives are
+// taken as they are, mesh surfaces are sampled uniformly by triangle area. World
+// transforms are baked in.
+//
+// Sample colors = material.map texel (at the interpolated uv) × vertex color × material
+// color, each factor only when present; textures that cannot be read back (tainted by
+// CORS, compressed) are skipped.
+
+import * as THREE from 'three';
+
+const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3();
+const _ca = new THREE.Color(), _cb = new THREE.Color(), _cc = new THREE.Color(), _texel = new THREE.Color();
+const _uv = new THREE.Vector2(), _uvb = new THREE.Vector2(), _uvc = new THREE.Vector2();
+const texelReaders = new WeakMap(); // texture → reader | null
+
+// Pixel lookup for a texture's image, or null when it cannot be read back
+function getTexelReader(texture) {
+  if (texelReaders.has(texture)) return texelReaders.get(texture);
+  let reader = null;
+  const image = texture.image;
+  const width = image?.naturalWidth || image?.width;
+  const height = image?.naturalHeight || image?.height;
+  if (width && height && typeof document !== 'undefined') {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(image, 0, 0);
+      const data = ctx.getImageData(0, 0, width, height).data;
+      const srgb = texture.colorSpace === THREE.SRGBColorSpace;
+      if (texture.matrixAutoUpdate) texture.updateMatrix();
+      reader = (uv, target) => {
+        // transformUv applies offset/repeat/rotation, wrapping and flipY
+        texture.transformUv(uv);
+        const x = Math.min(width - 1, Math.floor(uv.x * width));
+        const y = Math.min(height - 1, Math.floor(uv.y * height));
+        const o = (y * width + x) * 4;
+        target.setRGB(data[o] / 255, data[o + 1] / 255, data[o + 2] / 255);
+        return srgb ? target.convertSRGBToLinear() : target;
+      };
+    } catch (err) {
+      console.warn('[mesh-sampler] texture colors unavailable:', err);
+    }
+  }
+  texelReaders.set(texture, reader);
+  return reader;
+}
+
+// Material of the triangle starting at `corner` (multi-material meshes use groups)
+function materialAt(mesh, corner) {
+  if (!Array.isArray(mesh.material)) return mesh.material;
+  const group = mesh.geometry.groups.find((g) => corner >= g.start && corner < g.start + g.count);
+  return mesh.material[group?.materialIndex ?? 0];
+}
+
+function readColor(attr, i, target) {
+  return target.setRGB(attr.getX(i), attr.getY(i), attr.getZ(i));
+}
+
+// Vertex of the k-th triangle corner (indexed or plain triangle list)
+function cornerIndex(geometry) {
+  const index = geometry.getIndex();
+  return index ? (k) => index.getX(k) : (k) => k;
+}
+
+function cornerCount(geometry) {
+  return geometry.getIndex()?.count ?? geometry.getAttribute('position').count;
+}
+
+// Cumulative world-space triangle area, for area-proportional triangle picks
+export function areaTable(mesh) {
+  const position = mesh.geometry.getAttribute('position');
+  const corner = cornerIndex(mesh.geometry);
+  const triCount = Math.floor(cornerCount(mesh.geometry) / 3);
+  const cdf = new Float64Array(triCount);
+  let total = 0;
+  for (let t = 0; t < triCount; t++) {
+    _a.fromBufferAttribute(position, corner(t * 3)).applyMatrix4(mesh.matrixWorld);
+    _b.fromBufferAttribute(position, corner(t * 3 + 1)).applyMatrix4(mesh.matrixWorld);
+    _c.fromBufferAttribute(position, corner(t * 3 + 2)).applyMatrix4(mesh.matrixWorld);
+    total += _b.sub(_a).cross(_c.sub(_a)).length() * 0.5;
+    cdf[t] = total;
+  }
+  return { cdf, total };
+}
+
+// `count` points spread over the mesh by area.
+export function sampleMeshSurface(mesh, count, rand = Math.random, table = areaTable(mesh)) {
+  const geometry = mesh.geometry;
+  const position = geometry.getAttribute('position');
+  const colorAttr = geometry.getAttribute('color');
+  const uvAttr = geometry.getAttribute('uv');
+  const white = new THREE.Color(1, 1, 1);
+  const matrix = mesh.matrixWorld;
+  const corner = cornerIndex(geometry);
+  const { cdf, total } = table;
+  const triCount = cdf.length;
+
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  if (!triCount || !total) return { positions: new Float32Array(0), colors: new Float32Array(0) };
+
+  for (let i = 0; i < count; i++) {
+    const r = rand() * total;
+    let lo = 0, hi = triCount - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] < r) lo = mid + 1; else hi = mid;
+    }
+
+    // Uniform barycentric point (square-root trick)
+    const s = Math.sqrt(rand()), u = rand();
+    const wa = 1 - s, wb = s * (1 - u), wc = s * u;
+    const ia = corner(lo * 3), ib = corner(lo * 3 + 1), ic = corner(lo * 3 + 2);
+
+    _a.fromBufferAttribute(position, ia).multiplyScalar(wa)
+      .add(_b.fromBufferAttribute(position, ib).multiplyScalar(wb))
+      .add(_c.fromBufferAttribute(position, ic).multiplyScalar(wc))
+      .applyMatrix4(matrix);
+    _a.toArray(positions, i * 3);
+
+    const material = materialAt(mesh, lo * 3);
+    _ca.copy(material?.color ?? white);
+    if (colorAttr) {
+      _cb.setRGB(0, 0, 0)
+        .add(readColor(colorAttr, ia, _cc).multiplyScalar(wa))
+        .add(readColor(colorAttr, ib, _cc).multiplyScalar(wb))
+        .add(readColor(colorAttr, ic, _cc).multiplyScalar(wc));
+      _ca.multiply(_cb);
+    }
+    const texel = material?.map && uvAttr ? getTexelReader(material.map) : null;
+    if (texel) {
+      _uv.fromBufferAttribute(uvAttr, ia).multiplyScalar(wa)
+        .add(_uvb.fromBufferAttribute(uvAttr, ib).multiplyScalar(wb))
+        .add(_uvc.fromBufferAttribute(uvAttr, ic).multiplyScalar(wc));
+      _ca.multiply(texel(_uv, _texel));
+    }
+    _ca.toArray(colors, i * 3);
+  }
+
+  return { positions, colors };
+}
+
+// Every vertex of a THREE.Points, in world space.
+function collectPoints(object) {
+  const position = object.geometry.getAttribute('position');
+  const colorAttr = object.geometry.getAttribute('color');
+  const baseColor = object.material?.color ?? new THREE.Color(1, 1, 1);
+  const positions = new Float32Array(position.count * 3);
+  const colors = new Float32Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    _a.fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld).toArray(positions, i * 3);
+    (colorAttr ? readColor(colorAttr, i, _ca).multiply(baseColor) : _ca.copy(baseColor)).toArray(colors, i * 3);
+  }
+  return { positions, colors };
+}
+
+// sampleCount is shared across all meshes by surface area; point primitives add all
+// their vertices on top. Lines are ignored.
+export function sceneToPointGeometry(root, { sampleCount = 200000, rand = Math.random } = {}) {
+  root.updateMatrixWorld(true);
+  const meshes = [], parts = [];
+  root.traverse((object) => {
+    if (!object.geometry?.getAttribute('position')) return;
+    if (object.isPoints) parts.push(collectPoints(object));
+    else if (object.isMesh) meshes.push(object);
+  });
+
+  const tables = meshes.map(areaTable);
+  const totalArea = tables.reduce((sum, t) => sum + t.total, 0);
+  meshes.forEach((mesh, i) => {
+    const count = totalArea > 0 ? Math.round(sampleCount * tables[i].total / totalArea) : 0;
+    if (count) parts.push(sampleMeshSurface(mesh, count, rand, tables[i]));
+  });
+
+  const total = parts.reduce((sum, p) => sum + p.positions.length, 0);
+  const positions = new Float32Array(total);
+  const colors = new Float32Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    positions.set(part.positions, offset);
+    colors.set(part.colors, offset);
+    offset += part.positions.length;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return geometry;
+}
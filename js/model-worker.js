@@ -0,0 +1,97 @@
+// model-worker.js
+// Fetches, parses, decimates and normalizes point clouds off the main thread.
+//
+// in:  { id, url, format: 'ply' | 'las' | 'xyz' | 'pcd', options: { maxPoints, normalize, xyz } }
+// out: { id, type: 'progress', stage: 'download' | 'parse' | 'prepare', loaded, total }
+//      { id, type: 'done', cloud }      typed arrays transferred, see formats/cloud.js
+//      { id, type: 'error', message }
+
+import { cloudTransferables, decimateCloud, normalizePositions } from './formats/cloud.js';
+import { parsePLY } from './formats/ply.js';
+import { parseLAS } from './formats/las.js';
+import { parsePCD } from './formats/pcd.js';
+import { XYZParser } from './formats/xyz.js';
+
+const BINARY_PARSERS = {
+  ply: parsePLY,
+  las: parseLAS,
+  pcd: parsePCD,
+};
+
+// Whole body as one ArrayBuffer, reporting download progress per chunk.
+async function readBody(response, progress) {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) return response.arrayBuffer();
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    progress('download', loaded, total);
+  }
+
+  const out = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return out.buffer;
+}
+
+// Text formats are parsed while downloading.
+async function streamXYZ(response, options, progress) {
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const parser = new XYZParser(options);
+  if (!response.body) {
+    parser.push(await response.text());
+    return parser.finish();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    parser.push(decoder.decode(value, { stream: true }));
+    progress('download', loaded, total);
+  }
+  parser.push(decoder.decode());
+  return parser.finish();
+}
+
+self.onmessage = async (e) => {
+  const { id, url, format, options = {} } = e.data;
+  const progress = (stage, loaded = 0, total = 0) => self.postMessage({ id, type: 'progress', stage, loaded, total });
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${url}`);
+
+    let cloud;
+    if (format === 'xyz') {
+      cloud = await streamXYZ(response, options.xyz, progress);
+    } else {
+      const parse = BINARY_PARSERS[format];
+      if (!parse) throw new Error(`unsupported format "${format}"`);
+      const buffer = await readBody(response, progress);
+      progress('parse');
+      cloud = await parse(buffer);
+    }
+
+    progress('prepare');
+    cloud = decimateCloud(cloud, options.maxPoints);
+    if (options.normalize !== false) normalizePositions(cloud.positions);
+    cloud.userData.viewNormalized = options.normalize !== false;
+
+    self.postMessage({ id, type: 'done', cloud }, cloudTransferables(cloud));
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,164 @@
+// morph-controller.js
+// Smooths raw morph progress from scroll, wheel and touch before it reaches the shader.
+// Inputs only move `target`; update(dt) eases `value` toward it with an exponential
+// approach (damping, 1/s), lets a released touch drag glide on with decaying velocity,
+// and returns the progress mapped through the selected easing curve.
+//
+// With snapPoints set, the target moves to the nearest one once input has been idle for
+// snapDelay seconds (and any glide has stopped); onSnap(point) lets the page follow.
+//
+// For a keyframe chain set `segments` to its segment count: the easing curve then runs
+// once per segment, so every keyframe (k / segments) maps onto itself and snapping to one
+// shows exactly that keyframe.
+
+export const MORPH_EASINGS = ['linear', 'sine', 'cubic', 'expo', 'bezier'];
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+const EASING_FUNCTIONS = {
+  linear: (t) => t,
+  sine: (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  cubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  expo: (t) => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+  },
+};
+
+// CSS-style cubic-bezier(x1, y1, x2, y2) as a function of t in [0, 1].
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+  const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+  const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+  const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+  const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+  return (t) => {
+    if (t <= 0 || t >= 1) return t <= 0 ? 0 : 1;
+    // Newton first, bisection when the slope is too flat
+    let s = t;
+    for (let i = 0; i < 8; i++) {
+      const err = sampleX(s) - t;
+      if (Math.abs(err) < 1e-6) return sampleY(s);
+      const d = slopeX(s);
+      if (Math.abs(d) < 1e-6) break;
+      s -= err / d;
+    }
+    let lo = 0, hi = 1;
+    s = t;
+    for (let i = 0; i < 30; i++) {
+      if (sampleX(s) < t) lo = s; else hi = s;
+      s = (lo + hi) * 0.5;
+    }
+    return sampleY(s);
+  };
+}
+
+// '0.42, 0, 0.58, 1' or 'cubic-bezier(…)' → four numbers (x clamped to [0, 1]), or null.
+export function parseBezier(text) {
+  const values = String(text ?? '').replace(/^\s*cubic-bezier\(|\)\s*$/g, '').split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length !== 4 || values.some((v) => !Number.isFinite(v))) return null;
+  return [clamp01(values[0]), values[1], clamp01(values[2]), values[3]];
+}
+
+export class MorphController {
+  constructor({
+    damping = 10, glide = 0.35, easing = 'linear', bezier = [0.42, 0, 0.58, 1],
+    snapPoints = [], snapDelay = 0.2, onSnap = null, segments = 1,
+  } = {}) {
+    this.damping = damping; // 1/s; 0 = follow the target immediately
+    this.glide = glide;     // s for released velocity to fall to 1/e; 0 = no momentum
+    this.snapPoints = snapPoints; // raw progress values, e.g. [0, 0.5, 1]; empty = off
+    this.snapDelay = snapDelay;   // s of idle input before snapping
+    this.onSnap = onSnap;
+    this.segments = segments;     // keyframe segments the easing repeats over
+    this.idle = 0;          // s since the last input
+    this.target = 0;
+    this.value = 0;
+    this.velocity = 0;      // progress per second while gliding
+    this.dragging = false;
+    this.dragVelocity = 0;  // smoothed progress per second of the current drag
+    this.lastDrag = null;   // { value, time } of the previous drag sample
+    this.setEasing(easing, bezier);
+  }
+
+  setEasing(easing, bezier = this.bezier) {
+    this.easing = MORPH_EASINGS.includes(easing) ? easing : 'linear';
+    this.bezier = bezier;
+    this.curve = this.easing === 'bezier' ? cubicBezier(...bezier) : EASING_FUNCTIONS[this.easing];
+  }
+
+  // Raw progress → eased progress, one pass of the curve per segment.
+  ease(t) {
+    const n = Math.max(1, Math.floor(this.segments) || 1);
+    if (n === 1) return this.curve(t);
+    const s = Math.min(n - 1, Math.max(0, Math.floor(t * n)));
+    return (s + this.curve(t * n - s)) / n;
+  }
+
+  // Absolute input (scroll position, drag); cancels any glide.
+  setTarget(value) {
+    this.target = clamp01(value);
+    this.velocity = 0;
+    this.idle = 0;
+  }
+
+  // Relative input (wheel), accumulated on the target so fast wheels are not lost.
+  nudge(delta) {
+    this.setTarget(this.target + delta);
+  }
+
+  // Snap without smoothing (model loads, resets).
+  jump(value) {
+    this.setTarget(value);
+    this.value = this.target;
+  }
+
+  drag(value, time = performance.now()) {
+    if (!this.dragging) {
+      this.dragVelocity = 0;
+    } else if (time > this.lastDrag.time) {
+      const v = (clamp01(value) - this.lastDrag.value) / ((time - this.lastDrag.time) / 1000);
+      this.dragVelocity = this.dragVelocity * 0.6 + v * 0.4;
+    }
+    this.dragging = true;
+    this.lastDrag = { value: clamp01(value), time };
+    this.setTarget(value);
+  }
+
+  // End of a drag: keep moving with the recent drag velocity if glide is on.
+  release(time = performance.now()) {
+    const stale = !this.lastDrag || time - this.lastDrag.time > 100; // finger rested before lifting
+    this.velocity = this.glide > 0 && !stale ? this.dragVelocity : 0;
+    this.dragging = false;
+    this.lastDrag = null;
+  }
+
+  snap() {
+    let nearest = this.snapPoints[0];
+    for (const p of this.snapPoints) {
+      if (Math.abs(p - this.target) < Math.abs(nearest - this.target)) nearest = p;
+    }
+    if (Math.abs(nearest - this.target) < 1e-4) return;
+    this.target = clamp01(nearest);
+    this.onSnap?.(this.target);
+  }
+
+  // Advance by dt seconds; returns the eased progress to apply.
+  update(dt) {
+    if (this.velocity) {
+      const target = this.target + this.velocity * dt;
+      this.target = clamp01(target);
+      this.velocity = target !== this.target || this.glide <= 0 ? 0 : this.velocity * Math.exp(-dt / this.glide);
+      if (Math.abs(this.velocity) < 1e-3) this.velocity = 0;
+    }
+    this.idle += dt;
+    if (this.snapPoints.length && !this.dragging && !this.velocity && this.idle >= this.snapDelay) this.snap();
+    if (this.damping > 0) {
+      this.value += (this.target - this.value) * (1 - Math.exp(-this.damping * dt));
+      if (Math.abs(this.target - this.value) < 1e-5) this.value = this.target;
+    } else {
+      this.value = this.target;
+    }
+    return this.ease(this.value);
+  }
+}
@@ -0,0 +1,90 @@
+// morph-delay.js
+// Per-point morph start offsets (0..1) for the `morphDelay` attribute. The shader shifts
+// each point's share of uMorph by delay × stagger, so the morph sweeps through the model
+// instead of moving it as one block:
+//
+//   none     every point together (plain crossfade)
+//   height   bottom to top
+//   radial   center outwards
+//   noise    smooth 3D value-noise blobs
+//   random   independent per point
+//
+// Delays come from the base keyframe, so they stay put when the chain segment or the
+// target correspondence changes.
+
+export const MORPH_DELAY_MODES = ['none', 'height', 'radial', 'noise', 'random'];
+
+const NOISE_CELLS = 3; // lattice cells across the model's longest side
+
+function bounds(positions, count) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i++) {
+    for (let a = 0; a < 3; a++) {
+      const v = positions[i * 3 + a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+  }
+  return { min, max };
+}
+
+// Lattice value in [0, 1) for integer coordinates
+function latticeValue(x, y, z, seed) {
+  let h = Math.imul(x, 0x8da6b343) ^ Math.imul(y, 0xd8163841) ^ Math.imul(z, 0xcb1ab31f) ^ seed;
+  h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+  h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+  return ((h ^ (h >>> 15)) >>> 0) / 4294967296;
+}
+
+function valueNoise(x, y, z, seed) {
+  const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+  const fade = (t) => t * t * (3 - 2 * t);
+  const fx = fade(x - ix), fy = fade(y - iy), fz = fade(z - iz);
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const corner = (dx, dy, dz) => latticeValue(ix + dx, iy + dy, iz + dz, seed);
+  return lerp(
+    lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+    lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+    fz
+  );
+}
+
+// Rescale in place so the smallest value is 0 and the largest 1
+function normalize(values) {
+  let min = Infinity, max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  const range = max - min;
+  for (let i = 0; i < values.length; i++) values[i] = range > 0 ? (values[i] - min) / range : 0;
+  return values;
+}
+
+// Delay per point for `mode`; rand is a seeded [0, 1) generator.
+export function computeMorphDelays(positions, count, mode, rand) {
+  const delays = new Float32Array(count);
+  if (mode === 'none' || !count) return delays;
+
+  if (mode === 'random') {
+    for (let i = 0; i < count; i++) delays[i] = rand();
+    return delays;
+  }
+
+  const { min, max } = bounds(positions, count);
+  const center = [0, 1, 2].map((a) => (min[a] + max[a]) * 0.5);
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  const seed = Math.floor(rand() * 4294967296) | 0;
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    if (mode === 'height') {
+      delays[i] = y;
+    } else if (mode === 'radial') {
+      delays[i] = Math.hypot(x - center[0], y - center[1], z - center[2]);
+    } else {
+      const s = NOISE_CELLS / extent;
+      delays[i] = valueNoise((x - min[0]) * s, (y - min[1]) * s, (z - min[2]) * s, seed);
+    }
+  }
+  return normalize(delays);
+}
@@ -0,0 +1,140 @@
+// morph-timeline.js
+// Autoplay for kiosks and hero videos: keyframed tracks of named channels (morph, glow,
+// wind, post-FX …) played over time instead of driven by scroll. Each track is a list of
+// [seconds, value] keys; values ease (sine in/out) between neighbouring keys and hold
+// before the first and after the last one.
+//
+//   once      play to the end and pause
+//   loop      wrap back to the start
+//   pingpong  play forwards, then backwards
+//
+// A cycle ends when playback wraps (loop) or comes back to the start (pingpong);
+// onCycle(cycles) fires then, e.g. to move on to the next model.
+
+export const TIMELINE_MODES = ['once', 'loop', 'pingpong'];
+
+const easeKey = (t) => 0.5 - 0.5 * Math.cos(Math.PI * t);
+
+// Keys sorted by time, with non-finite entries dropped
+function normalizeTrack(keys) {
+  return (keys ?? [])
+    .filter((k) => Array.isArray(k) && Number.isFinite(k[0]) && Number.isFinite(k[1]))
+    .map(([time, value]) => [time, value])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+function sampleTrack(keys, time) {
+  if (time <= keys[0][0]) return keys[0][1];
+  for (let i = 1; i < keys.length; i++) {
+    const [t1, v1] = keys[i];
+    if (time <= t1) {
+      const [t0, v0] = keys[i - 1];
+      const t = t1 > t0 ? (time - t0) / (t1 - t0) : 1;
+      return v0 + (v1 - v0) * easeKey(t);
+    }
+  }
+  return keys[keys.length - 1][1];
+}
+
+export class MorphTimeline {
+  // tracks: { channel: [[seconds, value], …] }; duration defaults to the last key's time.
+  constructor({ tracks = {}, duration, mode = 'loop', speed = 1, onCycle = null, onUpdate = null } = {}) {
+    this.onCycle = onCycle;
+    this.onUpdate = onUpdate; // (state, timeline) after every update() and seek()
+    this.time = 0;
+    this.direction = 1;       // -1 on the way back in pingpong
+    this.cycles = 0;
+    this.playing = false;
+    this.setMode(mode);
+    this.speed = speed;
+    this.setTracks(tracks, duration);
+  }
+
+  setTracks(tracks, duration) {
+    this.tracks = {};
+    let last = 0;
+    for (const [channel, keys] of Object.entries(tracks ?? {})) {
+      const track = normalizeTrack(keys);
+      if (!track.length) continue;
+      this.tracks[channel] = track;
+      last = Math.max(last, track[track.length - 1][0]);
+    }
+    this.duration = Math.max(1e-3, Number.isFinite(duration) ? duration : last || 1);
+    this.time = Math.min(this.time, this.duration);
+  }
+
+  // New length in seconds for the current tracks; undefined goes back to the last key's time.
+  setDuration(duration) {
+    this.setTracks(this.tracks, duration);
+  }
+
+  setMode(mode) {
+    this.mode = TIMELINE_MODES.includes(mode) ? mode : 'loop';
+    if (this.mode !== 'pingpong') this.direction = 1;
+  }
+
+  get progress() {
+    return this.time / this.duration;
+  }
+
+  play() {
+    // Replaying a finished one-shot starts over
+    if (this.mode === 'once' && this.time >= this.duration) this.time = 0;
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) this.pause(); else this.play();
+    return this.playing;
+  }
+
+  // Jump to `time` seconds (clamped) and return the state there.
+  seek(time) {
+    this.time = Math.min(this.duration, Math.max(0, Number(time) || 0));
+    return this.emit();
+  }
+
+  // Channel values at `time` seconds.
+  evaluate(time = this.time) {
+    const state = {};
+    for (const [channel, keys] of Object.entries(this.tracks)) state[channel] = sampleTrack(keys, time);
+    return state;
+  }
+
+  // Advance by dt seconds when playing; returns the current state.
+  update(dt) {
+    if (this.playing) {
+      let time = this.time + dt * this.speed * this.direction;
+      const d = this.duration;
+      if (this.mode === 'once') {
+        if (time >= d) { time = d; this.playing = false; }
+      } else if (this.mode === 'loop') {
+        if (time >= d) {
+          time %= d;
+          this.cycles++;
+          this.onCycle?.(this.cycles);
+        }
+      } else if (time >= d) {
+        time = 2 * d - time;
+        this.direction = -1;
+      } else if (time <= 0) {
+        time = -time;
+        this.direction = 1;
+        this.cycles++;
+        this.onCycle?.(this.cycles);
+      }
+      this.time = Math.min(d, Math.max(0, time));
+    }
+    return this.emit();
+  }
+
+  emit() {
+    const state = this.evaluate();
+    this.onUpdate?.(state, this);
+    return state;
+  }
+}
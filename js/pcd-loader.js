@@ -0,0 +1,69 @@
+import {
+	FileLoader,
+	Loader
+} from 'three';
+import { parsePCD } from './formats/pcd.js';
+import { cloudToGeometry } from './cloud-geometry.js';
+
+/**
+ * PCDLoader: reads Point Cloud Library files (DATA ascii, binary and binary_compressed)
+ * into a BufferGeometry with `position`, optional `color` (linear RGB) and optional
+ * `intensity` (0..1).
+ *
+ * Unlike the three.js addon of the same name it returns a geometry rather than a
+ * THREE.Points, reads fields of any TYPE/SIZE (intensity is often U1/U2), unpacks `rgb`
+ * and `rgba` whether stored as F4 bit patterns or U4, and drops the NaN entries that
+ * organized (width × height) clouds use for missing returns. Parsing lives in
+ * js/formats/pcd.js so the model worker can share it.
+ *
+ * Usage:
+ *	const loader = new PCDLoader();
+ *	loader.load( 'point/scan.pcd', ( geometry ) => { ... } );
+ */
+
+class PCDLoader extends Loader {
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( data ) {
+
+			try {
+
+				onLoad( scope.parse( data ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	parse( data ) {
+
+		return cloudToGeometry( parsePCD( data ) );
+
+	}
+
+}
+
+export { PCDLoader };
@@ -0,0 +1,118 @@
+// point-cloud-morph.js
+// <point-cloud-morph> for pages that only get to paste HTML (CMS blocks, landing pages):
+//
+//   <script type="module" src="js/point-cloud-morph.js"></script>
+//   <point-cloud-morph src="point/tree-bush.ply" morph-target="point/tree-stump-2.ply"
+//                      density="0.25" point-size="3" glow-mode="random" lut="warm"
+//                      text="ROOTS" bg="#05070a" style="height: 60vh"></point-cloud-morph>
+//
+// The wheel scrolls the page as usual; add the boolean `wheel-morph` attribute to let it
+// drive the morph over the element instead (until the morph reaches either end).
+//
+// Attributes map onto PointCloudViewer settings and are observed, so scripts can change
+// them later; a removed attribute goes back to its default. The viewer draws into the
+// element's own box (300×150 unless styled, like <canvas>), follows its size through a
+// ResizeObserver and is disposed when the element leaves the document.
+import { PointCloudViewer } from './point-cloud-viewer.js';
+
+// Values used when an attribute is missing or unreadable
+const DEFAULTS = {
+  density: 0.18,
+  'point-size': 3,
+  'glow-mode': 'wave',
+  lut: 'none',
+  text: '',
+  bg: '#000000',
+};
+
+const STYLE = `
+  :host { display: block; position: relative; width: 300px; height: 150px; overflow: hidden; }
+  :host([hidden]) { display: none; }
+  div { position: absolute; inset: 0; }
+`;
+
+const toNumber = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export class PointCloudMorphElement extends HTMLElement {
+  static observedAttributes = ['src', 'morph-target', 'density', 'point-size', 'glow-mode', 'lut', 'text', 'bg', 'wheel-morph'];
+
+  constructor() {
+    super();
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    this.stage = document.createElement('div');
+    shadow.append(style, this.stage);
+    this.viewer = null;
+    this.resizeObserver = null;
+  }
+
+  connectedCallback() {
+    if (this.viewer) return; // moved within the document: keep the running viewer
+    this.viewer = new PointCloudViewer(this.stage);
+    for (const name of PointCloudMorphElement.observedAttributes) {
+      if (name !== 'src' && name !== 'morph-target') this.applyAttribute(name, this.getAttribute(name));
+    }
+    this.applyAttribute('src', this.getAttribute('src'));
+
+    this.resizeObserver = new ResizeObserver(() => this.viewer?.resize());
+    this.resizeObserver.observe(this);
+  }
+
+  disconnectedCallback() {
+    // Moving the element disconnects and reconnects it in one task; only tear down
+    // if it is still detached afterwards.
+    queueMicrotask(() => {
+      if (this.isConnected || !this.viewer) return;
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+      this.viewer.dispose();
+      this.viewer = null;
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    // Before connectedCallback the attributes are applied all at once there
+    if (this.viewer && oldValue !== value) this.applyAttribute(name, value);
+  }
+
+  applyAttribute(name, value) {
+    const viewer = this.viewer;
+    switch (name) {
+      case 'src':
+        if (value) viewer.loadModel(value, { morphTarget: this.getAttribute('morph-target') || null });
+        break;
+      case 'morph-target':
+        viewer.setMorphTarget(value || null);
+        break;
+      case 'density':
+        viewer.setDensity(toNumber(value, DEFAULTS.density));
+        break;
+      case 'point-size':
+        viewer.setPointSize(toNumber(value, DEFAULTS['point-size']));
+        break;
+      case 'glow-mode':
+        viewer.setGlow({ mode: value || DEFAULTS['glow-mode'] });
+        break;
+      case 'lut':
+        viewer.setPostFX({ lut: value || DEFAULTS.lut });
+        break;
+      case 'text':
+        viewer.setText(value ?? DEFAULTS.text);
+        break;
+      case 'bg':
+        viewer.setBackground(value || DEFAULTS.bg);
+        break;
+      case 'wheel-morph':
+        viewer.setWheelMorph(value !== null);
+        break;
+    }
+  }
+}
+
+if (!customElements.get('point-cloud-morph')) {
+  customElements.define('point-cloud-morph', PointCloudMorphElement);
+}
@@ -0,0 +1,3024 @@
+// point-cloud-viewer.js
+// The point cloud viewer as an embeddable class. Each instance owns its renderer, scene,
+// workers and render loop and draws into its container (the window for document.body,
+// otherwise the container's own box), so several viewers can share a page:
+//
+//   const viewer = new PointCloudViewer(element, { models: ['point/tree-bush.ply'] });
+//   viewer.setMorph(0.5);
+//   viewer.setPostFX({ bloom: { strength: 1.2 }, lut: 'warm' });
+//   viewer.dispose();
+//
+// Page-wide behaviour (control panel, scroll-driven morph, hotkeys, file drops) is opt-in
+// through options, for the one viewer that owns the page; main.js turns it all on.
+// js/point-cloud-morph.js wraps a viewer as a <point-cloud-morph> element.
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { LASLoader } from './las-loader.js';
+import { XYZLoader } from './xyz-loader.js';
+import { PCDLoader } from './pcd-loader.js';
+import { GLTFLoader } from './gltfloader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { sceneToPointGeometry } from './mesh-sampler.js';
+import { DEFAULT_SVG_POINT_OPTIONS, svgToPointGeometry } from './svg-points.js';
+import { DEFAULT_IMAGE_POINT_OPTIONS, IMAGE_SAMPLING_MODES, loadImagePointGeometry } from './image-points.js';
+import { cloudToGeometry } from './cloud-geometry.js';
+import { normalizePositions, shufflePoints } from './formats/cloud.js';
+import { SAMPLING_MODES, WORKER_SAMPLING_MODES, computeSampleOrder, mulberry32 } from './sampling.js';
+import { MORPH_DELAY_MODES, computeMorphDelays } from './morph-delay.js';
+import { RESAMPLE_MODES, padSample } from './resample.js';
+import { ScrollChoreography } from './scroll-choreography.js';
+import { MorphTimeline } from './morph-timeline.js';
+import { MORPH_EASINGS, MorphController, parseBezier } from './morph-controller.js';
+import { LODOctree, loadLodIndex } from './lod-octree.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { LUTPass } from 'three/addons/postprocessing/LUTPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { BrightnessContrastShader } from 'three/addons/shaders/BrightnessContrastShader.js';
+import { HueSaturationShader } from 'three/addons/shaders/HueSaturationShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
+
+// Resolved against this module like the workers, so embeds on other pages still find them
+const lutUrl = (file) => new URL(`../luts/${file}`, import.meta.url).href;
+const LUT_PRESETS = {
+  warm: { label: 'Warm Glow', path: lutUrl('warm.cube') },
+  green: { label: 'Green Lift', path: lutUrl('LUT_green.cube') },
+  mutedUrban: { label: 'Muted Urban', path: lutUrl('LUT_muted-urban.cube') },
+  forest: { label: 'Forest Boost', path: lutUrl('LUT_forest.cube') },
+  latest: { label: 'Latest LUT', path: lutUrl('LUT_PRESETSSTORE.cube') },
+};
+
+// Simple radial edge blur shader (blur increases toward screen edges)
+const EdgeBlurShader = {
+  uniforms: {
+    tDiffuse:   { value: null },
+    resolution: { value: new THREE.Vector2(1, 1) }, // set by updatePostSizes()
+    maxRadius:  { value: 8.0 },   // pixels at the very edge
+    falloff:    { value: 1.6 },   // higher = blur starts closer to edge
+    strength:   { value: 1.0 },   // mix amount of blur
+    center:     { value: new THREE.Vector2(0.5, 0.5) },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4( position, 1.0 );
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform vec2  resolution;
+    uniform float maxRadius;
+    uniform float falloff;
+    uniform float strength;
+    uniform vec2  center;
+    varying vec2  vUv;
+
+    // 8-tap kernel (cross + diagonals)
+    vec4 sampleBlur(vec2 uv, float radiusPx) {
+      vec2 texel = radiusPx / resolution;
+      vec4 c = texture2D(tDiffuse, uv) * 0.227027; // center weight (approx gaussian)
+      c += texture2D(tDiffuse, uv + vec2(texel.x, 0.0)) * 0.1945946;
+      c += texture2D(tDiffuse, uv - vec2(texel.x, 0.0)) * 0.1945946;
+      c += texture2D(tDiffuse, uv + vec2(0.0, texel.y)) * 0.1216216;
+      c += texture2D(tDiffuse, uv - vec2(0.0, texel.y)) * 0.1216216;
+      // light diagonal contribution
+      c += texture2D(tDiffuse, uv + vec2(texel.x, texel.y)) * 0.0702703;
+      c += texture2D(tDiffuse, uv + vec2(-texel.x, texel.y)) * 0.0702703;
+      c += texture2D(tDiffuse, uv + vec2(texel.x, -texel.y)) * 0.0702703;
+      c += texture2D(tDiffuse, uv + vec2(-texel.x, -texel.y)) * 0.0702703;
+      return c;
+    }
+
+    void main() {
+      vec2 uv = vUv;
+      // aspect-corrected distance from center
+      vec2 d = uv - center;
+      d.x *= resolution.x / resolution.y;
+      float dist = length(d);              // 0 at center
+      float edge = clamp(dist * 2.0, 0.0, 1.0); // ~1 near edges
+      float mask = pow(edge, falloff);
+
+      float radius = mask * maxRadius;
+      vec4 sharp = texture2D(tDiffuse, uv);
+      vec4 blurred = sampleBlur(uv, radius);
+      gl_FragColor = mix(sharp, blurred, strength * mask);
+    }
+  `
+};
+
+const BG_TEXT_OFFSET = 1.6; // distance behind the model, along the view axis
+const BG_TEXT_VIEWPORT_FRACTION = 0.78; // portion of the view width to cover
+const BG_TEXT_CANVAS_WIDTH = 2048;
+const BG_TEXT_CANVAS_HEIGHT = 1024;
+const BG_TEXT_BASE_FONT_SIZE = 360;
+const BG_TEXT_MIN_FONT_SIZE = 80;
+const BG_TEXT_MAX_WIDTH_RATIO = 0.88;
+const BG_TEXT_FONT_FAMILY = 'Helvetica, "Helvetica Neue", Arial, sans-serif';
+
+const TEXT_MORPH_TARGET = '@text';     // MORPH_PAIRS keyframe / loadMorphTargetGeometry() sentinel
+const TEXT_POINTS_WORLD_WIDTH = 2.0;   // same extent prepareGeometryForView() gives models
+const TEXT_POINTS_ALPHA_CUTOFF = 96;   // 0..255, pixels below this are treated as empty
+
+/* ---------------- Utilities ---------------- */
+// Sample a geometry down to a specific point count, returning raw arrays.
+function sampleGeometryAttributes(sourceGeom, targetCount) {
+  if (!sourceGeom || !targetCount) return null;
+  const pos = sourceGeom.getAttribute('position');
+  if (!pos) return null;
+
+  const srcCount = pos.count;
+  const count = Math.max(1, Math.min(targetCount, srcCount));
+
+  const colorAttr = sourceGeom.getAttribute('color');
+  const positions = new Float32Array(count * 3);
+  const colors = colorAttr ? new Float32Array(count * 3) : null;
+
+  const step = srcCount / count;
+  // Plain Float32 triplets (everything the model worker produces): copy straight from the arrays
+  const flat = (attr) => attr && !attr.isInterleavedBufferAttribute && attr.itemSize === 3
+    && !attr.normalized && attr.array instanceof Float32Array;
+  if (flat(pos) && (!colorAttr || flat(colorAttr))) {
+    const srcPos = pos.array, srcCol = colorAttr?.array;
+    let idx = 0;
+    for (let i = 0; i < count; i++) {
+      const o = Math.min(srcCount - 1, Math.floor(idx)) * 3;
+      positions[i * 3 + 0] = srcPos[o];
+      positions[i * 3 + 1] = srcPos[o + 1];
+      positions[i * 3 + 2] = srcPos[o + 2];
+      if (colors) {
+        colors[i * 3 + 0] = srcCol[o];
+        colors[i * 3 + 1] = srcCol[o + 1];
+        colors[i * 3 + 2] = srcCol[o + 2];
+      }
+      idx += step;
+    }
+    return { count, positions, colors };
+  }
+
+  let idx = 0;
+  for (let i = 0; i < count; i++) {
+    const srcIndex = Math.min(srcCount - 1, Math.floor(idx));
+    positions[i * 3 + 0] = pos.getX(srcIndex);
+    positions[i * 3 + 1] = pos.getY(srcIndex);
+    positions[i * 3 + 2] = pos.getZ(srcIndex);
+    if (colors && colorAttr) {
+      colors[i * 3 + 0] = colorAttr.getX(srcIndex);
+      colors[i * 3 + 1] = colorAttr.getY(srcIndex);
+      colors[i * 3 + 2] = colorAttr.getZ(srcIndex);
+    }
+    idx += step;
+  }
+
+  return { count, positions, colors };
+}
+
+// Center, scale to a 2-unit extent and yaw 30° (same transform the model worker applies).
+function prepareGeometryForView(geom) {
+  if (!geom) return null;
+  const pos = geom.getAttribute('position');
+  if (!pos) return geom;
+  if (!(pos.array instanceof Float32Array) || pos.isInterleavedBufferAttribute || pos.itemSize !== 3) {
+    const positions = new Float32Array(pos.count * 3);
+    for (let i = 0; i < pos.count; i++) {
+      positions[i * 3 + 0] = pos.getX(i);
+      positions[i * 3 + 1] = pos.getY(i);
+      positions[i * 3 + 2] = pos.getZ(i);
+    }
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  }
+  normalizePositions(geom.getAttribute('position').array);
+  geom.getAttribute('position').needsUpdate = true;
+  geom.computeBoundingBox();
+  geom.computeBoundingSphere?.();
+  return geom;
+}
+
+// Everything one viewer owns lives in this closure; PointCloudViewer below is its public face.
+function createViewer(container, options) {
+  const {
+    models: initialModels = [],
+    morphPairs = {},
+    ui = false,          // wire the #ui-* control panel and the #loading status line
+    scrollMorph = false, // page scroll and touch swipes drive the morph (and data-* sections)
+    hotkeys = false,     // keyboard shortcuts on the window
+    fileDrop = false,    // files dropped anywhere on the page become models
+    wheelMorph = scrollMorph, // the mouse wheel over the canvas drives the morph
+  } = options;
+
+  // Page-level listeners are removed together on dispose()
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  let disposed = false;
+
+  /* ---------------- Renderer ---------------- */
+  // The document body means the window; any other container is sized to its own box.
+  const fillsWindow = container === document.body;
+  let viewWidth = 1, viewHeight = 1;
+  function measureView() {
+    viewWidth = Math.max(1, fillsWindow ? innerWidth : container.clientWidth);
+    viewHeight = Math.max(1, fillsWindow ? innerHeight : container.clientHeight);
+  }
+  measureView();
+
+  const renderer = new THREE.WebGLRenderer({
+    antialias: false,                 // faster
+    logarithmicDepthBuffer: true,
+    powerPreference: 'high-performance'
+  });
+  renderer.setPixelRatio(Math.min(devicePixelRatio, 1.5));
+  renderer.setSize(viewWidth, viewHeight);
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.domElement.style.display = 'block';
+  container.appendChild(renderer.domElement);
+
+  /* ---------------- Postprocessing (Composer + Passes) ---------------- */
+  let composer, renderPass, fxaaPass, bcPass, hsPass, vignettePass, bloomPass, edgeBlurPass, lutPass;
+  const lutLoader = new LUTCubeLoader();
+  let activeLutKey = 'none';
+  let lutLoadMap = new Map(); // cache of loaded LUT textures
+  let lutIntensity = 1.0;
+
+  function initPost() {
+    composer = new EffectComposer(renderer);
+    renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
+
+    bloomPass = new UnrealBloomPass(new THREE.Vector2(viewWidth, viewHeight), 0.6, 0.4, 0.95);
+    bloomPass.enabled = false;
+    composer.addPass(bloomPass);
+
+    bcPass = new ShaderPass(BrightnessContrastShader);
+    bcPass.material.uniforms.brightness.value = 0.0; // -1..1
+    bcPass.material.uniforms.contrast.value = 0.0;   // -1..1
+    bcPass.enabled = false;
+    composer.addPass(bcPass);
+
+    hsPass = new ShaderPass(HueSaturationShader);
+    hsPass.material.uniforms.hue.value = 0.0;        // -1..1 (radians/pi)
+    hsPass.material.uniforms.saturation.value = 0.0; // -1..1
+    hsPass.enabled = false;
+    composer.addPass(hsPass);
+
+    vignettePass = new ShaderPass(VignetteShader);
+    vignettePass.material.uniforms.offset.value = 1.0;   // >=0
+    vignettePass.material.uniforms.darkness.value = 0.6; // 0..1
+    vignettePass.enabled = false;
+    composer.addPass(vignettePass);
+
+    // Edge blur (disabled by default)
+    edgeBlurPass = new ShaderPass(EdgeBlurShader);
+    edgeBlurPass.enabled = false;
+    composer.addPass(edgeBlurPass);
+
+    fxaaPass = new ShaderPass(FXAAShader);
+    fxaaPass.enabled = false; // toggle with hotkey
+    composer.addPass(fxaaPass);
+
+    lutPass = new LUTPass();
+    lutPass.enabled = false;
+    lutPass.intensity = 1.0;
+    composer.addPass(lutPass);
+
+    updatePostSizes();
+
+    updateLutPass();
+  }
+
+  function updateLutPass() {
+    if (!lutPass) return;
+    lutPass.intensity = lutIntensity;
+    const enabled = activeLutKey !== 'none' && lutPass.lut && lutIntensity > 0.0;
+    lutPass.enabled = enabled;
+  }
+
+  function setLutPreset(key) {
+    if (!lutPass) {
+      activeLutKey = key;
+      return;
+    }
+
+    const normalized = LUT_PRESETS[key] ? key : 'none';
+    activeLutKey = normalized;
+
+    if (normalized === 'none') {
+      lutPass.lut = null;
+      updateLutPass();
+      return;
+    }
+
+    const preset = LUT_PRESETS[normalized];
+    const { path } = preset;
+    const cached = lutLoadMap.get(path);
+    if (cached) {
+      lutPass.lut = cached;
+      updateLutPass();
+      return;
+    }
+
+    lutLoader.load(
+      path,
+      (result) => {
+        const tex = result.texture3D;
+        lutLoadMap.set(path, tex);
+        if (activeLutKey === normalized) {
+          lutPass.lut = tex;
+          updateLutPass();
+        }
+      },
+      undefined,
+      (err) => {
+        console.error('[LUT] failed to load', path, err);
+        if (activeLutKey === normalized) {
+          activeLutKey = 'none';
+          lutPass.lut = null;
+          updateLutPass();
+          uiRefresh?.();
+        }
+      }
+    );
+  }
+
+  function updatePostSizes() {
+    if (!composer) return;
+    composer.setSize(viewWidth, viewHeight);
+    if (bloomPass) bloomPass.setSize(viewWidth, viewHeight);
+    if (edgeBlurPass?.material?.uniforms?.resolution) {
+      edgeBlurPass.material.uniforms.resolution.value.set(viewWidth, viewHeight);
+    }
+    if (fxaaPass) {
+      const px = Math.min(devicePixelRatio, 1.5);
+      fxaaPass.material.uniforms[ 'resolution' ].value.set(1 / (viewWidth * px), 1 / (viewHeight * px));
+    }
+  }
+
+  /* ---------------- Scene & Camera ---------------- */
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0);
+  let fogEnabled = false;
+  let fogDensity = 0.12; // thicker default
+  function updateFog() {
+    // Use custom shader fog; do not use Three.js scene.fog to avoid uniform mismatch
+    const u = points?.material?.uniforms;
+    if (u) {
+        if (u.uSquareMix) squareMix = u.uSquareMix.value ?? squareMix;
+      u.uFogEnabled.value = fogEnabled ? 1.0 : 0.0;
+      u.uFogDensity.value = fogDensity;
+      const c = scene.background;
+      if (c && u.uFogColor) u.uFogColor.value.set(c.r, c.g, c.b);
+    }
+  }
+
+  const camera = new THREE.PerspectiveCamera(60, viewWidth / viewHeight, 0.01, 1e7);
+  camera.position.set(0, 0, 2);
+
+  /* ---------------- Controls ---------------- */
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+  controls.enableZoom = false;
+  renderer.domElement.addEventListener('wheel', handleWheelForMorph, { passive: false, signal });
+
+  /* ---------------- Helpers (optional) ---------------- */
+  scene.add(new THREE.AmbientLight(0xffffff, 0.9));
+  const grid = new THREE.GridHelper(10, 10);
+  grid.material.transparent = true;
+  grid.material.opacity = 0.12;
+  scene.add(grid);
+  grid.visible = false;
+
+  /* ---------------- Background Text ---------------- */
+  let bgTextFill = '#ffffff';
+
+  let bgTextLabel = 'POINT CLOUDS';
+  let bgTextMesh = null;
+  let bgTextAspect = BG_TEXT_CANVAS_WIDTH / BG_TEXT_CANVAS_HEIGHT;
+  let bgTextCanvas = null;
+  let bgTextCtx = null;
+  let bgTextTexture = null;
+  const _bgTempDir = new THREE.Vector3();
+
+  function updateBackgroundTextTexture() {
+    if (!bgTextCtx || !bgTextCanvas || !bgTextTexture) return;
+
+    const width = bgTextCanvas.width;
+    const height = bgTextCanvas.height;
+    bgTextCtx.clearRect(0, 0, width, height);
+
+    const label = bgTextLabel.trim();
+    const hasLabel = label.length > 0;
+    if (bgTextMesh) bgTextMesh.visible = hasLabel;
+    if (!hasLabel) {
+      bgTextTexture.needsUpdate = true;
+      return;
+    }
+
+    drawTextLabel(bgTextCtx, label, width, height);
+    bgTextTexture.needsUpdate = true;
+  }
+
+  // Fit and draw a centered label; shared by the background plane and the text→points rasterizer.
+  function drawTextLabel(ctx, label, width, height, fontFamily = BG_TEXT_FONT_FAMILY, fontWeight = 900) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const maxWidth = width * BG_TEXT_MAX_WIDTH_RATIO;
+    const composeFont = (sizePx) => `${fontWeight} ${sizePx}px ${fontFamily}`;
+
+    let fontSize = BG_TEXT_BASE_FONT_SIZE;
+    ctx.font = composeFont(fontSize);
+    let metrics = ctx.measureText(label);
+    if (metrics.width > maxWidth) {
+      const scale = maxWidth / Math.max(metrics.width, 1);
+      fontSize = Math.max(BG_TEXT_MIN_FONT_SIZE, fontSize * scale);
+      ctx.font = composeFont(fontSize);
+      metrics = ctx.measureText(label);
+    }
+
+    ctx.fillStyle = bgTextFill || '#ffffff';
+    ctx.fillText(label, width * 0.5, height * 0.5);
+    return fontSize;
+  }
+
+  function buildBackgroundText() {
+    bgTextCanvas = document.createElement('canvas');
+    bgTextCanvas.width = BG_TEXT_CANVAS_WIDTH;
+    bgTextCanvas.height = BG_TEXT_CANVAS_HEIGHT;
+    bgTextCtx = bgTextCanvas.getContext('2d');
+    if (!bgTextCtx) {
+      console.warn('[background-text] 2D context unavailable');
+      return;
+    }
+
+    bgTextTexture = new THREE.CanvasTexture(bgTextCanvas);
+    bgTextTexture.colorSpace = THREE.SRGBColorSpace;
+    bgTextTexture.anisotropy = renderer.capabilities?.getMaxAnisotropy
+      ? renderer.capabilities.getMaxAnisotropy()
+      : 1;
+    bgTextTexture.needsUpdate = true;
+
+    const material = new THREE.MeshBasicMaterial({
+      map: bgTextTexture,
+      transparent: true,
+      depthWrite: false,
+    });
+
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    bgTextMesh = new THREE.Mesh(geometry, material);
+    bgTextMesh.name = 'BackgroundText';
+    bgTextAspect = BG_TEXT_CANVAS_WIDTH / BG_TEXT_CANVAS_HEIGHT;
+    scene.add(bgTextMesh);
+    updateBackgroundTextTexture();
+    updateBackgroundTextScale();
+    updateBackgroundTextPose();
+  }
+
+  function updateBackgroundTextScale() {
+    if (!bgTextMesh) return;
+    const target = controls.target;
+    const camDist = camera.position.distanceTo(target);
+    const planeDist = camDist + BG_TEXT_OFFSET;
+    const viewHeight = 2 * planeDist * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5));
+    const targetWidth = viewHeight * camera.aspect * BG_TEXT_VIEWPORT_FRACTION;
+    const targetHeight = targetWidth / bgTextAspect;
+    bgTextMesh.scale.set(targetWidth, targetHeight, 1);
+  }
+
+  function updateBackgroundTextPose() {
+    if (!bgTextMesh) return;
+    const target = controls.target;
+    _bgTempDir.subVectors(camera.position, target);
+    if (_bgTempDir.lengthSq() < 1e-6) return;
+    _bgTempDir.normalize().multiplyScalar(BG_TEXT_OFFSET);
+    bgTextMesh.position.copy(target).sub(_bgTempDir);
+    bgTextMesh.lookAt(camera.position);
+  }
+
+  /* ---------------- Text → Points (morph target) ---------------- */
+  let textMorphEnabled = false;
+  let textMorphRebuildTimer = 0;
+  const textPointOptions = {
+    fontFamily: BG_TEXT_FONT_FAMILY,
+    fontWeight: 900,
+    depth: 0.12,    // extrusion thickness (world units)
+    spacing: 0,     // grid spacing (world units); 0 = derive from the loaded model's point count
+    jitter: 0.5,    // fraction of a grid cell each point may wander, hides the raster grid
+  };
+  let textPointCanvas = null;
+  let textPointCtx = null;
+  const _textPointColor = new THREE.Color();
+
+  // Rasterize a label with the background-text pipeline and turn covered pixels into a 3D point set.
+  // targetCount is the approximate point budget; matching the model's raw count keeps the stride in
+  // sampleGeometryAttributes() picking the same fraction from both clouds.
+  function buildTextPointGeometry(label, targetCount, options = textPointOptions) {
+    const text = (label ?? '').trim();
+    if (!text) return null;
+
+    if (!textPointCanvas) {
+      textPointCanvas = document.createElement('canvas');
+      textPointCanvas.width = BG_TEXT_CANVAS_WIDTH;
+      textPointCanvas.height = BG_TEXT_CANVAS_HEIGHT;
+      textPointCtx = textPointCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (!textPointCtx) {
+      console.warn('[text-points] 2D context unavailable');
+      return null;
+    }
+
+    const width = textPointCanvas.width;
+    const height = textPointCanvas.height;
+    textPointCtx.clearRect(0, 0, width, height);
+    drawTextLabel(textPointCtx, text, width, height, options.fontFamily, options.fontWeight);
+    const { data } = textPointCtx.getImageData(0, 0, width, height);
+
+    // Covered pixel bounds, used to center and scale the label into model space
+    let minX = width, minY = height, maxX = -1, maxY = -1, covered = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] < TEXT_POINTS_ALPHA_CUTOFF) continue;
+        covered++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+    if (!covered) return null;
+
+    const worldPerPx = TEXT_POINTS_WORLD_WIDTH / Math.max(1, maxX - minX + 1);
+    const depth = Math.max(0, options.depth ?? 0);
+    const layersFor = (stepPx) => depth > 0 ? Math.max(1, Math.round(depth / (stepPx * worldPerPx))) + 1 : 1;
+
+    // Grid step in pixels: explicit spacing, or solve covered / step² × layers ≈ targetCount
+    let stepPx;
+    if (options.spacing > 0) {
+      stepPx = Math.max(1, options.spacing / worldPerPx);
+    } else {
+      const budget = Math.max(1, targetCount || covered);
+      stepPx = 1;
+      for (let i = 0; i < 4; i++) {
+        stepPx = Math.max(1, Math.sqrt(covered * layersFor(stepPx) / budget));
+      }
+    }
+    const layers = layersFor(stepPx);
+
+    let seed = layers;
+    for (let i = 0; i < text.length; i++) seed = Math.imul(seed ^ text.charCodeAt(i), 2654435761);
+    const rand = mulberry32(seed);
+    const jitter = Math.max(0, Math.min(1, options.jitter ?? 0)) * stepPx;
+    const cx = (minX + maxX + 1) * 0.5;
+    const cy = (minY + maxY + 1) * 0.5;
+    const pos = [];
+    const col = [];
+    for (let gy = minY; gy <= maxY; gy += stepPx) {
+      for (let gx = minX; gx <= maxX; gx += stepPx) {
+        const sx = Math.min(maxX, Math.floor(gx + (rand() - 0.5) * jitter));
+        const sy = Math.min(maxY, Math.floor(gy + (rand() - 0.5) * jitter));
+        if (sx < 0 || sy < 0) continue;
+        const o = (sy * width + sx) * 4;
+        if (data[o + 3] < TEXT_POINTS_ALPHA_CUTOFF) continue;
+        // Linear colors, matching what PLYLoader hands back
+        _textPointColor.setRGB(data[o] / 255, data[o + 1] / 255, data[o + 2] / 255).convertSRGBToLinear();
+        const { r, g, b } = _textPointColor;
+        for (let l = 0; l < layers; l++) {
+          const t = layers > 1 ? l / (layers - 1) - 0.5 : 0;
+          pos.push((sx + 0.5 - cx) * worldPerPx, (cy - sy - 0.5) * worldPerPx, t * depth);
+          col.push(r, g, b);
+        }
+      }
+    }
+
+    const positions = new Float32Array(pos);
+    const colors = new Float32Array(col);
+    shufflePoints(positions, colors, rand);
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geom.computeBoundingBox();
+    geom.computeBoundingSphere();
+    return geom;
+  }
+
+  function resolveMorphTargetPath(modelPath) {
+    if (textMorphEnabled) return TEXT_MORPH_TARGET;
+    const entry = MORPH_PAIRS[modelPath] ?? null;
+    return entry?.targets ?? entry;
+  }
+
+  function setTextMorphEnabled(enabled) {
+    textMorphEnabled = !!enabled;
+    loadMorphTargetGeometry(resolveMorphTargetPath(models[modelIndex]));
+  }
+
+  // Label/color edits re-rasterize the word target; debounced so typing stays responsive.
+  function scheduleTextMorphRebuild() {
+    if (!textMorphEnabled) return;
+    clearTimeout(textMorphRebuildTimer);
+    textMorphRebuildTimer = setTimeout(() => loadMorphTargetGeometry(resolveMorphTargetPath(models[modelIndex])), 150);
+  }
+
+  buildBackgroundText();
+
+  // initialize composer after scene/camera exist
+  initPost();
+
+  /* ---------------- UI Panel ---------------- */
+  // Only the viewer created with `ui` drives the page's #ui-* panel; uiRefresh() syncs it
+  // after changes made elsewhere (API calls, model loads, hotkeys).
+  let uiRefresh = null;
+
+  function setupUI() {
+    const $ = (id) => document.getElementById(id);
+    const panel = $('ui-panel');
+    const toggleBtn = $('ui-toggle');
+    if (!panel || !toggleBtn) return;
+
+    const setVal = (id, v, fmt) => { const el = $(id); if (el) el.textContent = fmt ? fmt(v) : String(v); };
+    const getU = () => points?.material?.uniforms;
+    const updateGlowUIState = () => {
+      if (el.randomSpeed) el.randomSpeed.disabled = glowMode !== 'random';
+    };
+
+    // Prevent UI interactions from moving the camera
+    ['wheel','pointerdown','touchstart','keydown'].forEach(ev => {
+      panel.addEventListener(ev, (e) => e.stopPropagation());
+    });
+
+    const updateToggleLabel = () => {
+      const open = !panel.classList.contains('hidden');
+      toggleBtn.textContent = open ? 'Close Controls' : 'Open Controls';
+      toggleBtn.setAttribute('aria-expanded', String(open));
+    };
+    toggleBtn.addEventListener('click', () => {
+      panel.classList.toggle('hidden');
+      updateToggleLabel();
+    });
+    // Ensure initial label matches initial state
+    updateToggleLabel();
+
+    // Grab elements
+    const el = {
+      modelBtn: $('ui-model-btn'), correspondence: $('ui-correspondence'), resample: $('ui-resample'), sampling: $('ui-sampling'), lodBudget: $('ui-lod-budget'),
+      morphDelay: $('ui-morph-delay'), morphStagger: $('ui-morph-stagger'),
+      morphEasing: $('ui-morph-easing'), morphBezier: $('ui-morph-bezier'), morphDamping: $('ui-morph-damping'), morphGlide: $('ui-morph-glide'),
+      morphSnap: $('ui-morph-snap'), morphSnapPoints: $('ui-morph-snap-points'),
+      meshSamples: $('ui-mesh-samples'), imageSampling: $('ui-image-sampling'), imageDepth: $('ui-image-depth'),
+      svgPath: $('ui-svg-path'), svgDepth: $('ui-svg-depth'),
+      modelOpen: $('ui-model-open'), modelFile: $('ui-model-file'), morphFile: $('ui-morph-file'), morphDrop: $('ui-morph-drop'),
+      density: $('ui-density'), psize: $('ui-psize'), worldsize: $('ui-worldsize'), atten: $('ui-atten'), grid: $('ui-grid'),
+      scatter: $('ui-scatter'), square: $('ui-square'),
+      glowMode: $('ui-glow-mode'),
+      randomSpeed: $('ui-random-speed'),
+      windEnabled: $('ui-wind-enabled'), windAmp: $('ui-wind-amp'), windFreq: $('ui-wind-freq'), windSpatial: $('ui-wind-spatial'),
+      waveLength: $('ui-wave-length'), waveSpeed: $('ui-wave-speed'), waveWidth: $('ui-wave-width'), waveGamma: $('ui-wave-gamma'),
+      timelinePlay: $('ui-timeline-play'), timelineMode: $('ui-timeline-mode'), timelineSeek: $('ui-timeline-seek'),
+      timelineSpeed: $('ui-timeline-speed'), timelineCycle: $('ui-timeline-cycle'),
+      pathMode: $('ui-path-mode'), arcAmp: $('ui-arc-amp'), curlAmp: $('ui-curl-amp'), curlFreq: $('ui-curl-freq'), vortexTurns: $('ui-vortex-turns'),
+      edgeBlur: $('ui-edgeblur'), edgeBlurAmt: $('ui-edgeblur-amt'),
+      fog: $('ui-fog'), fogDensity: $('ui-fog-density'),
+      bg: $('ui-bg'),
+      bgText: $('ui-bg-text'),
+      bgTextColor: $('ui-bg-text-color'),
+      textMorph: $('ui-text-morph'), textDepth: $('ui-text-depth'),
+      bloom: $('ui-bloom'), bloomStrength: $('ui-bloom-strength'), vignette: $('ui-vignette'), vignetteDark: $('ui-vignette-dark'),
+      bc: $('ui-bc'), contrast: $('ui-contrast'), bright: $('ui-bright'), hs: $('ui-hs'), sat: $('ui-sat'), hue: $('ui-hue'),
+      lut: $('ui-lut'), lutIntensity: $('ui-lut-intensity'),
+      fxaa: $('ui-fxaa'),
+    };
+
+    // Helpers
+    const formatSampleCount = (n) => n >= 1e6 ? (n / 1e6).toFixed(2) + 'M' : Math.round(n / 1000) + 'k';
+
+    // Also called every frame while the timeline plays (morphTimeline.onUpdate)
+    function refreshTimelineUI() {
+      if (el.timelinePlay) el.timelinePlay.textContent = morphTimeline.playing ? 'Pause' : 'Play';
+      if (el.timelineSeek && document.activeElement !== el.timelineSeek) el.timelineSeek.value = String(morphTimeline.progress);
+      setVal('ui-timeline-seek-val', morphTimeline.time.toFixed(1) + 's');
+    }
+
+    function refreshUI() {
+      // Points
+      if (el.modelBtn) { try { el.modelBtn.textContent = (models[modelIndex] || '').split('/').pop(); } catch {} }
+      if (el.correspondence) el.correspondence.value = correspondenceMode;
+      if (el.resample) el.resample.value = resampleMode;
+      if (el.morphDelay) el.morphDelay.value = morphDelayMode;
+      if (el.morphEasing) el.morphEasing.value = morphController.easing;
+      if (el.morphBezier && document.activeElement !== el.morphBezier) el.morphBezier.value = morphController.bezier.join(', ');
+      if (el.morphDamping) { el.morphDamping.value = String(morphController.damping); setVal('ui-morph-damping-val', morphController.damping > 0 ? morphController.damping.toFixed(1) : 'off'); }
+      if (el.morphGlide) { el.morphGlide.value = String(morphController.glide); setVal('ui-morph-glide-val', morphController.glide > 0 ? morphController.glide.toFixed(2) + 's' : 'off'); }
+      if (el.morphSnap) el.morphSnap.value = morphSnapMode;
+      if (el.morphSnapPoints && document.activeElement !== el.morphSnapPoints) el.morphSnapPoints.value = morphSnapCustom.join(', ');
+      if (el.pathMode) el.pathMode.value = morphPath.mode;
+      if (el.timelineMode) el.timelineMode.value = morphTimeline.mode;
+      if (el.timelineSpeed) { el.timelineSpeed.value = String(morphTimeline.speed); setVal('ui-timeline-speed-val', morphTimeline.speed.toFixed(2) + '×'); }
+      if (el.timelineCycle) el.timelineCycle.checked = timelineCycleModels;
+      refreshTimelineUI();
+      if (el.arcAmp)      { el.arcAmp.value = String(morphPath.arcAmp); setVal('ui-arc-amp-val', morphPath.arcAmp.toFixed(2)); }
+      if (el.curlAmp)     { el.curlAmp.value = String(morphPath.curlAmp); setVal('ui-curl-amp-val', morphPath.curlAmp.toFixed(2)); }
+      if (el.curlFreq)    { el.curlFreq.value = String(morphPath.curlFreq); setVal('ui-curl-freq-val', morphPath.curlFreq.toFixed(1)); }
+      if (el.vortexTurns) { el.vortexTurns.value = String(morphPath.vortexTurns); setVal('ui-vortex-turns-val', morphPath.vortexTurns.toFixed(2)); }
+      if (el.morphStagger) { el.morphStagger.value = String(morphStagger); setVal('ui-morph-stagger-val', morphStagger.toFixed(2)); }
+      if (el.sampling) el.sampling.value = samplingMode;
+      if (el.meshSamples) { el.meshSamples.value = String(meshSampleCount / 1000); setVal('ui-mesh-samples-val', formatSampleCount(meshSampleCount)); }
+      if (el.imageSampling) el.imageSampling.value = imagePointOptions.mode;
+      if (el.imageDepth) { el.imageDepth.value = String(imagePointOptions.depth); setVal('ui-image-depth-val', imagePointOptions.depth.toFixed(2)); }
+      if (el.svgDepth) { el.svgDepth.value = String(svgPointOptions.depth); setVal('ui-svg-depth-val', svgPointOptions.depth.toFixed(2)); }
+      if (el.lodBudget) { el.lodBudget.value = String(lodPointBudget / 1e6); setVal('ui-lod-budget-val', (lodPointBudget / 1e6).toFixed(1) + 'M'); }
+      if (el.density) { el.density.value = String(keepRatio); setVal('ui-density-val', Number(keepRatio).toFixed(2)); }
+      if (el.psize)   { el.psize.value = String(pointSizePx); setVal('ui-psize-val', Number(pointSizePx).toFixed(2)); }
+      if (el.grid)    { el.grid.checked = !!grid.visible; }
+
+      const u = getU();
+      if (u) {
+        if (el.worldsize) el.worldsize.checked = u.uUseWorldSize.value > 0.5;
+        if (el.atten)     el.atten.checked     = u.uSizeAttenEnabled.value > 0.5;
+        if (el.scatter)   { el.scatter.value = String(u.uScatterAmp.value ?? scatterAmp); setVal('ui-scatter-val', (u.uScatterAmp.value ?? scatterAmp).toFixed(3)); }
+        if (el.square) {
+          if (u.uSquareMix) squareMix = u.uSquareMix.value ?? squareMix;
+          el.square.value = String(squareMix);
+          setVal('ui-square-val', (squareMix * 100).toFixed(0) + '%');
+        }
+        if (el.glowMode) {
+          const mode = (u.uGlowMode?.value ?? (glowMode === 'random' ? 1 : 0)) >= 0.5 ? 'random' : 'wave';
+          glowMode = mode;
+          el.glowMode.value = mode;
+        }
+        if (el.randomSpeed && u.uRandomGlowSpeed) {
+          const v = u.uRandomGlowSpeed.value ?? randomGlowSpeed;
+          randomGlowSpeed = v;
+          el.randomSpeed.value = String(v);
+          setVal('ui-random-speed-val', v.toFixed(1));
+        }
+        // no base color controls in UI
+        if (el.windEnabled) el.windEnabled.checked = u.uWindEnabled.value > 0.5;
+        if (el.windAmp)   { el.windAmp.value   = String(u.uWindAmp.value);   setVal('ui-wind-amp-val', u.uWindAmp.value.toFixed(3)); }
+        if (el.windFreq)  { el.windFreq.value  = String(u.uWindFreq.value);  setVal('ui-wind-freq-val', u.uWindFreq.value.toFixed(2)); }
+        if (el.windSpatial){ el.windSpatial.value= String(u.uWindSpatial.value); setVal('ui-wind-spatial-val', u.uWindSpatial.value.toFixed(2)); }
+
+        if (el.waveLength){ el.waveLength.value= String(u.uWaveLength.value); setVal('ui-wave-length-val', u.uWaveLength.value.toFixed(2)); }
+        if (el.waveSpeed) { el.waveSpeed.value = String(u.uWaveSpeed.value);  setVal('ui-wave-speed-val', u.uWaveSpeed.value.toFixed(2)); }
+        if (el.waveWidth) { el.waveWidth.value = String(u.uWaveWidth.value);  setVal('ui-wave-width-val', u.uWaveWidth.value.toFixed(2)); }
+        if (el.waveGamma) { el.waveGamma.value = String(u.uBandGamma.value);  setVal('ui-wave-gamma-val', u.uBandGamma.value.toFixed(2)); }
+      }
+      else {
+        if (el.square) { el.square.value = String(squareMix); setVal('ui-square-val', (squareMix * 100).toFixed(0) + '%'); }
+        if (el.glowMode) {
+          el.glowMode.value = glowMode;
+        }
+        if (el.randomSpeed) {
+          el.randomSpeed.value = String(randomGlowSpeed);
+          setVal('ui-random-speed-val', randomGlowSpeed.toFixed(1));
+        }
+      }
+
+      updateGlowUIState();
+
+      // Fog
+      if (el.fog) el.fog.checked = fogEnabled;
+      if (el.fogDensity) { el.fogDensity.value = String(fogDensity); setVal('ui-fog-density-val', fogDensity.toFixed(3)); }
+      if (el.bg) {
+        try {
+          const hex = '#' + scene.background.getHexString();
+          el.bg.value = hex;
+          setVal('ui-bg-val', hex.toUpperCase());
+        } catch {}
+      }
+      if (el.bgText) {
+        el.bgText.value = bgTextLabel;
+      }
+      if (el.bgTextColor) {
+        el.bgTextColor.value = bgTextFill;
+        setVal('ui-bg-text-color-val', (bgTextFill || '').toUpperCase());
+      }
+      if (el.textMorph) el.textMorph.checked = textMorphEnabled;
+      if (el.textDepth) {
+        el.textDepth.value = String(textPointOptions.depth);
+        setVal('ui-text-depth-val', textPointOptions.depth.toFixed(2));
+      }
+
+      // Post FX
+      if (el.edgeBlur) { el.edgeBlur.checked = !!edgeBlurPass?.enabled; }
+      if (el.edgeBlurAmt) {
+        const v = edgeBlurPass?.material?.uniforms?.maxRadius?.value ?? 8.0;
+        el.edgeBlurAmt.value = String(v);
+        setVal('ui-edgeblur-amt-val', Number(v).toFixed(1));
+      }
+      if (el.bloom) { el.bloom.checked = !!bloomPass?.enabled; }
+      if (el.bloomStrength) { const v = bloomPass?.strength ?? 0.6; el.bloomStrength.value = String(v); setVal('ui-bloom-strength-val', v.toFixed(2)); }
+      if (el.vignette) { el.vignette.checked = !!vignettePass?.enabled; }
+      if (el.vignetteDark) { const v = vignettePass?.material?.uniforms?.darkness?.value ?? 0.6; el.vignetteDark.value = String(v); setVal('ui-vignette-dark-val', v.toFixed(2)); }
+      if (el.bc) { el.bc.checked = !!bcPass?.enabled; }
+      if (el.contrast) { const v = bcPass?.material?.uniforms?.contrast?.value ?? 0.0; el.contrast.value = String(v); setVal('ui-contrast-val', v.toFixed(2)); }
+      if (el.bright) { const v = bcPass?.material?.uniforms?.brightness?.value ?? 0.0; el.bright.value = String(v); setVal('ui-bright-val', v.toFixed(2)); }
+      if (el.hs) { el.hs.checked = !!hsPass?.enabled; }
+      if (el.sat) { const v = hsPass?.material?.uniforms?.saturation?.value ?? 0.0; el.sat.value = String(v); setVal('ui-sat-val', v.toFixed(2)); }
+      if (el.hue) { const v = hsPass?.material?.uniforms?.hue?.value ?? 0.0; el.hue.value = String(v); setVal('ui-hue-val', v.toFixed(2)); }
+      if (el.lut) { el.lut.value = activeLutKey; }
+      if (el.lutIntensity) {
+        el.lutIntensity.value = String(lutIntensity);
+        el.lutIntensity.disabled = activeLutKey === 'none';
+        setVal('ui-lut-intensity-val', lutIntensity.toFixed(2));
+      }
+      if (el.fxaa) { el.fxaa.checked = !!fxaaPass?.enabled; }
+    }
+
+    // Allow external triggers to refresh the panel
+    uiRefresh = refreshUI;
+    window.addEventListener('ui-refresh', refreshUI, { signal });
+
+    // Wiring events
+    el.modelBtn?.addEventListener('click', () => {
+      modelIndex = (modelIndex + 1) % models.length;
+      const path = models[modelIndex];
+      el.modelBtn.textContent = path.split('/').pop();
+      loadModel(path);
+    });
+
+    el.correspondence?.addEventListener('change', () => { setCorrespondenceMode(el.correspondence.value); });
+    el.resample?.addEventListener('change', () => { setResampleMode(el.resample.value); });
+    el.morphDelay?.addEventListener('change', () => { setMorphDelayMode(el.morphDelay.value); });
+    el.morphEasing?.addEventListener('change', () => { setMorphEasing(el.morphEasing.value); });
+    el.morphBezier?.addEventListener('change', () => {
+      setMorphEasing('bezier', el.morphBezier.value);
+      refreshUI();
+    });
+    el.morphSnap?.addEventListener('change', () => { setMorphSnap(el.morphSnap.value); });
+    el.morphSnapPoints?.addEventListener('change', () => {
+      setMorphSnap('custom', el.morphSnapPoints.value);
+      refreshUI();
+    });
+    el.morphDamping?.addEventListener('input', () => {
+      morphController.damping = Math.max(0, Number(el.morphDamping.value));
+      setVal('ui-morph-damping-val', morphController.damping > 0 ? morphController.damping.toFixed(1) : 'off');
+    });
+    el.morphGlide?.addEventListener('input', () => {
+      morphController.glide = Math.max(0, Number(el.morphGlide.value));
+      setVal('ui-morph-glide-val', morphController.glide > 0 ? morphController.glide.toFixed(2) + 's' : 'off');
+    });
+    el.morphStagger?.addEventListener('input', () => {
+      setMorphStagger(Number(el.morphStagger.value));
+      setVal('ui-morph-stagger-val', morphStagger.toFixed(2));
+    });
+
+    // Local files
+    const acceptExt = Object.keys(MODEL_FORMATS).map((ext) => '.' + ext).join(',');
+    if (el.modelFile) el.modelFile.accept = acceptExt;
+    if (el.morphFile) el.morphFile.accept = acceptExt;
+    el.modelOpen?.addEventListener('click', () => el.modelFile?.click());
+    el.modelFile?.addEventListener('change', () => { addLocalModels(el.modelFile.files); el.modelFile.value = ''; });
+    el.morphFile?.addEventListener('change', () => { setLocalMorphTarget(el.morphFile.files?.[0]); el.morphFile.value = ''; });
+    el.morphDrop?.addEventListener('click', () => el.morphFile?.click());
+    el.morphDrop?.addEventListener('dragover', (e) => { if (isFileDrag(e)) el.morphDrop.classList.add('over'); });
+    el.morphDrop?.addEventListener('dragleave', () => el.morphDrop.classList.remove('over'));
+    el.morphDrop?.addEventListener('drop', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      el.morphDrop.classList.remove('over');
+      fileDragDepth = 0;
+      document.body.classList.remove('file-drag');
+      setLocalMorphTarget(e.dataTransfer.files?.[0]);
+    });
+
+    el.meshSamples?.addEventListener('input', () => setVal('ui-mesh-samples-val', formatSampleCount(Number(el.meshSamples.value) * 1000)));
+    el.meshSamples?.addEventListener('change', () => { setMeshSampleCount(Number(el.meshSamples.value) * 1000); });
+    el.imageSampling?.addEventListener('change', () => { setImagePointOptions({ mode: el.imageSampling.value }); });
+    el.imageDepth?.addEventListener('input', () => setVal('ui-image-depth-val', Number(el.imageDepth.value).toFixed(2)));
+    el.imageDepth?.addEventListener('change', () => { setImagePointOptions({ depth: Number(el.imageDepth.value) }); });
+    el.svgPath?.addEventListener('change', () => {
+      const d = el.svgPath.value.trim();
+      if (d) setMorphTargetPath(SVG_PATH_PREFIX + d);
+    });
+    el.svgDepth?.addEventListener('input', () => setVal('ui-svg-depth-val', Number(el.svgDepth.value).toFixed(2)));
+    el.svgDepth?.addEventListener('change', () => { setSvgPointOptions({ depth: Number(el.svgDepth.value) }); });
+    el.sampling?.addEventListener('change', () => { setSamplingMode(el.sampling.value); });
+    el.lodBudget?.addEventListener('input', () => {
+      setLodPointBudget(Number(el.lodBudget.value) * 1e6);
+      setVal('ui-lod-budget-val', (lodPointBudget / 1e6).toFixed(1) + 'M');
+    });
+    el.density?.addEventListener('input', () => {
+      setKeepRatio(Number(el.density.value));
+      setVal('ui-density-val', keepRatio.toFixed(2));
+    });
+    el.psize?.addEventListener('input', () => {
+      setPointSize(Number(el.psize.value));
+      setVal('ui-psize-val', pointSizePx.toFixed(2));
+    });
+
+    el.worldsize?.addEventListener('change', () => {
+      const u = getU(); if (!u) return;
+      u.uUseWorldSize.value = el.worldsize.checked ? 1.0 : 0.0;
+      if (u.uUseWorldSize.value > 0.5) {
+        const pxPerUnit = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+        const refDist = u.uSizeAttenRef.value || camera.position.distanceTo(controls.target);
+        u.uPxPerUnit.value = pxPerUnit;
+        u.uWorldSize.value = Math.max(1e-5, pointSizePx * refDist / pxPerUnit);
+      }
+    });
+    el.atten?.addEventListener('change', () => {
+      const u = getU(); if (!u) return; u.uSizeAttenEnabled.value = el.atten.checked ? 1.0 : 0.0;
+    });
+    el.grid?.addEventListener('change', () => { grid.visible = !!el.grid.checked; });
+
+    // Scatter
+    el.scatter?.addEventListener('input', () => {
+      scatterAmp = Math.max(0, Math.min(1, Number(el.scatter.value)));
+      setVal('ui-scatter-val', scatterAmp.toFixed(3));
+      const u = getU(); if (u && u.uScatterAmp) u.uScatterAmp.value = scatterAmp;
+    });
+
+    el.square?.addEventListener('input', () => {
+      squareMix = Math.max(0, Math.min(1, Number(el.square.value)));
+      setVal('ui-square-val', (squareMix * 100).toFixed(0) + '%');
+      const u = getU(); if (u?.uSquareMix) u.uSquareMix.value = squareMix;
+    });
+
+    el.glowMode?.addEventListener('change', () => {
+      glowMode = el.glowMode.value === 'random' ? 'random' : 'wave';
+      const u = getU();
+      if (u?.uGlowMode) u.uGlowMode.value = glowMode === 'random' ? 1.0 : 0.0;
+      if (el.randomSpeed) {
+        el.randomSpeed.value = String(randomGlowSpeed);
+        setVal('ui-random-speed-val', randomGlowSpeed.toFixed(1));
+      }
+      updateGlowUIState();
+    });
+
+    el.randomSpeed?.addEventListener('input', () => {
+      randomGlowSpeed = Math.max(0.1, Math.min(5, Number(el.randomSpeed.value)));
+      setVal('ui-random-speed-val', randomGlowSpeed.toFixed(1));
+      const u = getU();
+      if (u?.uRandomGlowSpeed) u.uRandomGlowSpeed.value = randomGlowSpeed;
+    });
+
+    // removed RGB/vertex color handlers
+
+    // Wind
+    el.windEnabled?.addEventListener('change', () => { const u = getU(); if (!u) return; u.uWindEnabled.value = el.windEnabled.checked ? 1.0 : 0.0; });
+    el.windAmp?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWindAmp.value = Number(el.windAmp.value); setVal('ui-wind-amp-val', u.uWindAmp.value.toFixed(3)); });
+    el.windFreq?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWindFreq.value = Number(el.windFreq.value); setVal('ui-wind-freq-val', u.uWindFreq.value.toFixed(2)); });
+    el.windSpatial?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWindSpatial.value = Number(el.windSpatial.value); setVal('ui-wind-spatial-val', u.uWindSpatial.value.toFixed(2)); });
+
+    // Wave
+    el.waveLength?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWaveLength.value = Number(el.waveLength.value); setVal('ui-wave-length-val', u.uWaveLength.value.toFixed(2)); });
+    el.waveSpeed?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWaveSpeed.value = Number(el.waveSpeed.value); setVal('ui-wave-speed-val', u.uWaveSpeed.value.toFixed(2)); });
+    el.waveWidth?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uWaveWidth.value = Number(el.waveWidth.value); setVal('ui-wave-width-val', u.uWaveWidth.value.toFixed(2)); });
+    el.waveGamma?.addEventListener('input', () => { const u = getU(); if (!u) return; u.uBandGamma.value = Number(el.waveGamma.value); setVal('ui-wave-gamma-val', u.uBandGamma.value.toFixed(2)); });
+
+    // Morph path
+    el.pathMode?.addEventListener('change', () => { setMorphPath({ mode: el.pathMode.value }); });
+    el.arcAmp?.addEventListener('input', () => { setMorphPath({ arcAmp: Number(el.arcAmp.value) }); setVal('ui-arc-amp-val', morphPath.arcAmp.toFixed(2)); });
+    el.curlAmp?.addEventListener('input', () => { setMorphPath({ curlAmp: Number(el.curlAmp.value) }); setVal('ui-curl-amp-val', morphPath.curlAmp.toFixed(2)); });
+    el.curlFreq?.addEventListener('input', () => { setMorphPath({ curlFreq: Number(el.curlFreq.value) }); setVal('ui-curl-freq-val', morphPath.curlFreq.toFixed(1)); });
+    el.vortexTurns?.addEventListener('input', () => { setMorphPath({ vortexTurns: Number(el.vortexTurns.value) }); setVal('ui-vortex-turns-val', morphPath.vortexTurns.toFixed(2)); });
+
+    // Timeline
+    morphTimeline.onUpdate = refreshTimelineUI;
+    el.timelinePlay?.addEventListener('click', () => {
+      if (morphTimeline.playing) pauseTimeline(); else playTimeline();
+      refreshTimelineUI();
+    });
+    el.timelineMode?.addEventListener('change', () => { setTimeline({ mode: el.timelineMode.value }); });
+    el.timelineSeek?.addEventListener('input', () => { seekTimeline(Number(el.timelineSeek.value) * morphTimeline.duration); });
+    el.timelineSpeed?.addEventListener('input', () => { setTimeline({ speed: Number(el.timelineSpeed.value) }); setVal('ui-timeline-speed-val', morphTimeline.speed.toFixed(2) + '×'); });
+    el.timelineCycle?.addEventListener('change', () => { setTimeline({ cycleModels: el.timelineCycle.checked }); });
+
+    // Fog
+    el.fog?.addEventListener('change', () => { fogEnabled = !!el.fog.checked; updateFog(); });
+    el.fogDensity?.addEventListener('input', () => {
+      fogDensity = Math.max(0, Math.min(2.0, Number(el.fogDensity.value)));
+      updateFog();
+      setVal('ui-fog-density-val', fogDensity.toFixed(3));
+    });
+    el.bg?.addEventListener('input', () => {
+      try {
+        const hex = el.bg.value || '#000000';
+        scene.background.set(hex);
+        setVal('ui-bg-val', hex.toUpperCase());
+        updateFog();
+      } catch (e) {
+        console.warn('Invalid color:', e);
+      }
+    });
+    el.bgText?.addEventListener('input', () => {
+      bgTextLabel = el.bgText.value ?? '';
+      updateBackgroundTextTexture();
+      scheduleTextMorphRebuild();
+    });
+    el.bgTextColor?.addEventListener('input', () => {
+      bgTextFill = el.bgTextColor.value || '#ffffff';
+      setVal('ui-bg-text-color-val', (bgTextFill || '').toUpperCase());
+      updateBackgroundTextTexture();
+      scheduleTextMorphRebuild();
+    });
+    el.textMorph?.addEventListener('change', () => { setTextMorphEnabled(el.textMorph.checked); });
+    el.textDepth?.addEventListener('input', () => {
+      textPointOptions.depth = Math.max(0, Math.min(0.5, Number(el.textDepth.value)));
+      setVal('ui-text-depth-val', textPointOptions.depth.toFixed(2));
+      scheduleTextMorphRebuild();
+    });
+
+    // Post FX
+    el.edgeBlur?.addEventListener('change', () => { if (edgeBlurPass) edgeBlurPass.enabled = el.edgeBlur.checked; });
+    el.edgeBlurAmt?.addEventListener('input', () => {
+      if (!edgeBlurPass) return; const v = Number(el.edgeBlurAmt.value);
+      if (edgeBlurPass.material?.uniforms?.maxRadius) edgeBlurPass.material.uniforms.maxRadius.value = v;
+      setVal('ui-edgeblur-amt-val', v.toFixed(1));
+    });
+    el.bloom?.addEventListener('change', () => { if (bloomPass) bloomPass.enabled = el.bloom.checked; });
+    el.bloomStrength?.addEventListener('input', () => { if (!bloomPass) return; bloomPass.strength = Number(el.bloomStrength.value); setVal('ui-bloom-strength-val', bloomPass.strength.toFixed(2)); });
+    el.vignette?.addEventListener('change', () => { if (vignettePass) vignettePass.enabled = el.vignette.checked; });
+    el.vignetteDark?.addEventListener('input', () => { const u = vignettePass?.material?.uniforms?.darkness; if (!u) return; u.value = Number(el.vignetteDark.value); setVal('ui-vignette-dark-val', u.value.toFixed(2)); });
+    el.bc?.addEventListener('change', () => { if (bcPass) bcPass.enabled = el.bc.checked; });
+    el.contrast?.addEventListener('input', () => { const u = bcPass?.material?.uniforms?.contrast; if (!u) return; u.value = Number(el.contrast.value); setVal('ui-contrast-val', u.value.toFixed(2)); });
+    el.bright?.addEventListener('input', () => { const u = bcPass?.material?.uniforms?.brightness; if (!u) return; u.value = Number(el.bright.value); setVal('ui-bright-val', u.value.toFixed(2)); });
+    el.hs?.addEventListener('change', () => { if (hsPass) hsPass.enabled = el.hs.checked; });
+    el.sat?.addEventListener('input', () => { const u = hsPass?.material?.uniforms?.saturation; if (!u) return; u.value = Number(el.sat.value); setVal('ui-sat-val', u.value.toFixed(2)); });
+    el.hue?.addEventListener('input', () => { const u = hsPass?.material?.uniforms?.hue; if (!u) return; u.value = Number(el.hue.value); setVal('ui-hue-val', u.value.toFixed(2)); });
+    el.lut?.addEventListener('change', () => {
+      setLutPreset(el.lut.value);
+      refreshUI();
+    });
+    el.lutIntensity?.addEventListener('input', () => {
+      lutIntensity = Math.max(0.0, Math.min(1.0, Number(el.lutIntensity.value)));
+      setVal('ui-lut-intensity-val', lutIntensity.toFixed(2));
+      updateLutPass();
+    });
+    el.fxaa?.addEventListener('change', () => { if (fxaaPass) fxaaPass.enabled = el.fxaa.checked; });
+
+    // Initial sync
+    refreshUI();
+
+    // Note: event handlers that call buildPoints also call refreshUI()
+  }
+
+  // Global morph progress is split evenly across the keyframe chain; uMorph is the local
+  // 0..1 within the active segment, whose endpoints live in position/morphPosition.
+  function updateMorphUniform() {
+    const u = points?.material?.uniforms?.uMorph;
+    if (!u) return;
+    const segments = Math.max(1, morphSamples.length - 1);
+    const scaled = morphAmount * segments;
+    const segment = Math.min(segments - 1, Math.floor(scaled));
+    applyMorphSegment(segment);
+    u.value = scaled - segment;
+  }
+
+  // Swap segment endpoints into the existing buffers instead of rebuilding geometry/material.
+  function applyMorphSegment(segment) {
+    if (segment === morphSegment || !points) return;
+    const from = morphSamples[segment];
+    const to = morphSamples[Math.min(segment + 1, morphSamples.length - 1)];
+    if (!from || !to) return;
+    const g = points.geometry;
+    g.getAttribute('position').array.set(from.positions);
+    g.getAttribute('color').array.set(from.colors);
+    g.getAttribute('morphPosition').array.set(to.positions);
+    g.getAttribute('morphColor').array.set(to.colors);
+    for (const name of ['position', 'color', 'morphPosition', 'morphColor']) {
+      g.getAttribute(name).needsUpdate = true;
+    }
+    if (g.getAttribute('visibility')) {
+      g.getAttribute('visibility').array.set(from.visibility);
+      g.getAttribute('morphVisibility').array.set(to.visibility);
+      g.getAttribute('visibility').needsUpdate = true;
+      g.getAttribute('morphVisibility').needsUpdate = true;
+    }
+    morphSegment = segment;
+  }
+
+  // Scroll, wheel and touch only move the controller's target; animate() advances it
+  // (damping, touch glide, easing, snap points) and applies the result. setMorphAmount()
+  // jumps without smoothing.
+  const morphController = new MorphController({ damping: 10, glide: 0.35, onSnap: scrollToMorph });
+
+  function applyMorphAmount(value) {
+    morphAmount = THREE.MathUtils.clamp(value, 0.0, 1.0);
+    updateMorphUniform();
+  }
+
+  function setMorphAmount(value) {
+    morphController.jump(value);
+    applyMorphAmount(morphController.ease(morphController.value));
+  }
+
+  function setMorphTarget(value) {
+    morphController.setTarget(value);
+  }
+
+  // Snap points: off, every keyframe of the chain, or a custom list such as 0, 0.5, 1
+  const MORPH_SNAP_MODES = ['off', 'keyframes', 'custom'];
+  let morphSnapMode = 'off';
+  let morphSnapCustom = [0, 0.5, 1];
+
+  function updateMorphSnapPoints() {
+    const segments = morphTargetGeoms.length;
+    morphController.segments = Math.max(1, segments); // keyframes stay put under any easing
+    if (lodOctree || !segments || morphSnapMode === 'off') morphController.snapPoints = [];
+    else if (morphSnapMode === 'keyframes') morphController.snapPoints = Array.from({ length: segments + 1 }, (_, k) => k / segments);
+    else morphController.snapPoints = morphSnapCustom;
+  }
+
+  function setMorphSnap(mode, pointsText) {
+    morphSnapMode = MORPH_SNAP_MODES.includes(mode) ? mode : 'off';
+    if (pointsText !== undefined) {
+      const values = String(pointsText).split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+      if (values.length) morphSnapCustom = [...new Set(values.map((v) => THREE.MathUtils.clamp(v, 0, 1)))].sort((a, b) => a - b);
+    }
+    updateMorphSnapPoints();
+  }
+
+  function setMorphEasing(easing, bezierText) {
+    const bezier = bezierText === undefined ? morphController.bezier : parseBezier(bezierText) ?? morphController.bezier;
+    morphController.setEasing(MORPH_EASINGS.includes(easing) ? easing : morphController.easing, bezier);
+  }
+
+  // Staggered morph: each point starts its move at morphDelay × morphStagger of the segment
+  // and finishes the rest in the remaining time, so endpoints stay exact (js/morph-delay.js).
+  const MORPH_DELAY_SEED = 0xde1a;
+  let morphDelayMode = 'none';
+  let morphStagger = 0.6; // 0 = lockstep, →1 = each point moves in a short window
+
+  // Morph trajectories: every style bends the straight p0 → p1 path by an offset that
+  // vanishes at morph 0 and 1, so keyframes land exactly.
+  //   straight  mix(p0, p1, morph)
+  //   arc       explode outwards from the center and reassemble
+  //   curl      divergence-free swirl (curl of a trig potential), peaking mid-morph
+  //   vortex    spin around the Y axis, faster near the axis
+  const MORPH_PATH_MODES = ['straight', 'arc', 'curl', 'vortex'];
+  const morphPath = {
+    mode: 'straight',
+    arcAmp: 0.6,      // outward distance at mid-morph (world units)
+    curlAmp: 0.25,    // swirl displacement at mid-morph (world units)
+    curlFreq: 2.5,    // swirl cells per world unit
+    vortexTurns: 0.5, // turns around Y at mid-morph
+  };
+
+  function setMorphPath(options) {
+    Object.assign(morphPath, options);
+    if (!MORPH_PATH_MODES.includes(morphPath.mode)) morphPath.mode = 'straight';
+    const u = points?.material?.uniforms;
+    if (!u?.uMorphPath) return;
+    u.uMorphPath.value = MORPH_PATH_MODES.indexOf(morphPath.mode);
+    u.uArcAmp.value = morphPath.arcAmp;
+    u.uCurlAmp.value = morphPath.curlAmp;
+    u.uCurlFreq.value = morphPath.curlFreq;
+    u.uVortexTurns.value = morphPath.vortexTurns;
+  }
+
+  function computePointDelays(positions, count) {
+    return computeMorphDelays(positions, count, morphDelayMode, mulberry32(MORPH_DELAY_SEED));
+  }
+
+  function setMorphDelayMode(mode) {
+    morphDelayMode = MORPH_DELAY_MODES.includes(mode) ? mode : 'none';
+    const attr = points?.geometry?.getAttribute('morphDelay');
+    if (!attr || !morphSamples.length) return;
+    attr.array.set(computePointDelays(morphSamples[0].positions, attr.count));
+    attr.needsUpdate = true;
+  }
+
+  function setMorphStagger(value) {
+    morphStagger = THREE.MathUtils.clamp(value, 0.0, 0.95);
+    const u = points?.material?.uniforms?.uMorphStagger;
+    if (u) u.value = morphStagger;
+  }
+
+  function getMaxScroll() {
+    const doc = document.documentElement;
+    const body = document.body;
+    const scrollHeight = Math.max(
+      doc?.scrollHeight ?? 0,
+      body?.scrollHeight ?? 0
+    );
+    return Math.max(0, scrollHeight - window.innerHeight);
+  }
+
+  function syncMorphToScroll() {
+    if (morphTimeline.playing) return; // autoplay owns the morph
+    if (scrollChoreography) {
+      scrollChoreography.update(); // sections drive the morph (applyChoreographyState)
+      return;
+    }
+    if (!scrollMorph) return;
+    const doc = document.documentElement;
+    const body = document.body;
+    const scrollTop = window.scrollY || doc?.scrollTop || body?.scrollTop || 0;
+    if (snapScrollTop !== null) {
+      // The smooth scroll after a snap starts from a stale scrollY (wheel/touch morphs don't
+      // move the page); its scroll events would drag the morph back before it arrives.
+      if (Math.abs(scrollTop - snapScrollTop) < 1) snapScrollTop = null;
+      return;
+    }
+    const maxScroll = getMaxScroll();
+    const ratio = maxScroll > 0 ? scrollTop / maxScroll : 0;
+    setMorphTarget(ratio);
+  }
+
+  // After a snap, bring the page scroll along so the next scroll starts from the snapped state.
+  // Scroll events are ignored until it lands (snapScrollTop) or the scroll ends.
+  let snapScrollTop = null;
+  function scrollToMorph(value) {
+    const maxScroll = getMaxScroll();
+    if (!scrollMorph || !allowWheelMorph || maxScroll <= 0 || scrollChoreography) return; // sections map scroll non-linearly
+    const top = Math.round(value * maxScroll);
+    if (Math.abs(top - window.scrollY) < 1) return;
+    snapScrollTop = top;
+    window.scrollTo({ top, behavior: 'smooth' });
+  }
+
+  // Embedded viewers only take the wheel when asked to (setWheelMorph), and hand it back to
+  // the page once the morph has reached the end it is heading for.
+  let wheelMorphEnabled = !!wheelMorph;
+
+  function setWheelMorph(enabled) {
+    wheelMorphEnabled = !!enabled;
+  }
+
+  function handleWheelForMorph(event) {
+    if (!wheelMorphEnabled || !allowWheelMorph || morphTimeline.playing) return;
+    if (scrollChoreography) return; // let the page scroll; the sections own the morph
+    const panel = document.getElementById('ui-panel');
+    const toggle = document.getElementById('ui-toggle');
+    if ((panel && panel.contains(event.target)) || (toggle && toggle.contains(event.target))) return; // allow UI scrolling
+    if (event.target && typeof event.target.closest === 'function') {
+      if (event.target.closest('input, select, textarea')) return;
+    }
+    if (event.altKey || event.ctrlKey || event.metaKey) return; // let modifier + wheel pass through for zooming
+
+    const delta = event.deltaY || 0;
+    // Without scroll-driven morph the page can scroll on past a finished morph (with it,
+    // scrolling would move the morph back to the scroll position)
+    const atEnd = delta < 0 ? morphController.target <= 0 : morphController.target >= 1;
+    if (!scrollMorph && delta && atEnd) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (typeof event.stopImmediatePropagation === 'function') {
+      event.stopImmediatePropagation();
+    }
+
+    if (!delta) return;
+    const mode = event.deltaMode || 0;
+    const baseStep = mode === 1 ? 0.04 : mode === 2 ? 1.0 : 0.0007;
+    const step = event.shiftKey ? baseStep * 3.0 : baseStep;
+    morphController.nudge(delta * step);
+  }
+
+  /* ---------------- Scroll Choreography ---------------- */
+  // Page sections marked with data-morph-range / data-glow / data-camera-* / data-bg-text
+  // (or passed to setScrollChoreography()) replace the linear whole-page scroll mapping;
+  // see js/scroll-choreography.js.
+  let scrollChoreography = null;
+  let frameDistance = 2; // camera distance frameModel() picked; cameraDistance is relative to it
+  const _choreoOffset = new THREE.Vector3();
+  const _choreoSpherical = new THREE.Spherical();
+
+  function applyChoreographyState(state) {
+    if (state.morph !== undefined) setMorphTarget(state.morph);
+
+    const u = points?.material?.uniforms;
+    if (state.glow !== undefined && u?.uGlowBoost) u.uGlowBoost.value = state.glow;
+
+    if (state.cameraDistance !== undefined || state.cameraOrbit !== undefined) {
+      _choreoOffset.subVectors(camera.position, controls.target);
+      _choreoSpherical.setFromVector3(_choreoOffset);
+      if (state.cameraDistance !== undefined) _choreoSpherical.radius = Math.max(1e-3, frameDistance * state.cameraDistance);
+      if (state.cameraOrbit !== undefined) _choreoSpherical.theta = THREE.MathUtils.degToRad(state.cameraOrbit);
+      camera.position.copy(controls.target).add(_choreoOffset.setFromSpherical(_choreoSpherical));
+    }
+
+    if (state.bgText !== undefined && state.bgText !== bgTextLabel) {
+      bgTextLabel = state.bgText;
+      updateBackgroundTextTexture();
+      scheduleTextMorphRebuild();
+      uiRefresh?.();
+    }
+  }
+
+  // JS timeline: [{ element, morph: [from, to], glow, cameraDistance, cameraOrbit, bgText, pin }],
+  // or null to go back to the whole-page mapping.
+  function setScrollChoreography(sections) {
+    scrollChoreography?.dispose();
+    scrollChoreography = sections?.length ? new ScrollChoreography(sections, { onChange: applyChoreographyState }) : null;
+    syncMorphToScroll();
+  }
+
+  /* ---------------- Autoplay Timeline ---------------- */
+  // Keyframed channels played over time (js/morph-timeline.js). While it plays, scroll,
+  // wheel and touch leave the morph alone; with timelineCycleModels every completed cycle
+  // moves on to the next model. Channels:
+  //   morph             morph progress (through the controller, so easing still applies)
+  //   glow              shader glow boost
+  //   windAmp/windFreq  wind sway
+  //   waveSpeed         glow wave front speed
+  //   bloomStrength     bloom pass strength (visible when bloom is on)
+  //   vignetteDarkness  vignette darkness (visible when the vignette is on)
+  const DEFAULT_TIMELINE_TRACKS = {
+    morph: [[0, 0], [1.5, 0], [8.5, 1], [10, 1]],
+    glow: [[0, 1.1], [5, 2.2], [10, 1.1]],
+    windAmp: [[0, 0.02], [5, 0.05], [10, 0.02]],
+    bloomStrength: [[0, 0.6], [5, 1.2], [10, 0.6]],
+    vignetteDarkness: [[0, 0.6], [5, 0.9], [10, 0.6]],
+  };
+  let timelineCycleModels = false;
+
+  const morphTimeline = new MorphTimeline({
+    tracks: DEFAULT_TIMELINE_TRACKS,
+    mode: 'pingpong',
+    onCycle: () => {
+      if (!timelineCycleModels || models.length < 2) return;
+      modelIndex = (modelIndex + 1) % models.length;
+      loadModel(models[modelIndex]);
+    },
+  });
+
+  function applyTimelineState(state) {
+    if (state.morph !== undefined) setMorphTarget(state.morph);
+    const u = points?.material?.uniforms;
+    if (u) {
+      if (state.glow !== undefined) u.uGlowBoost.value = state.glow;
+      if (state.windAmp !== undefined) u.uWindAmp.value = state.windAmp;
+      if (state.windFreq !== undefined) u.uWindFreq.value = state.windFreq;
+      if (state.waveSpeed !== undefined) u.uWaveSpeed.value = state.waveSpeed;
+    }
+    if (state.bloomStrength !== undefined && bloomPass) bloomPass.strength = Math.max(0, state.bloomStrength);
+    const darkness = vignettePass?.material?.uniforms?.darkness;
+    if (state.vignetteDarkness !== undefined && darkness) darkness.value = state.vignetteDarkness;
+  }
+
+  // options: { tracks, duration, mode, speed, cycleModels } — any subset
+  function setTimeline(options = {}) {
+    // tracks: null restores the defaults; a duration on its own keeps the current tracks
+    if (options.tracks !== undefined) morphTimeline.setTracks(options.tracks ?? DEFAULT_TIMELINE_TRACKS, options.duration);
+    else if (options.duration !== undefined) morphTimeline.setDuration(options.duration);
+    if (options.mode !== undefined) morphTimeline.setMode(options.mode);
+    if (options.speed !== undefined) morphTimeline.speed = THREE.MathUtils.clamp(Number(options.speed) || 1, 0.05, 10);
+    if (options.cycleModels !== undefined) timelineCycleModels = !!options.cycleModels;
+  }
+
+  function playTimeline(options) {
+    if (options) setTimeline(options);
+    morphTimeline.play();
+  }
+
+  // Pausing hands the morph back to scroll (on the next scroll) and the panel to its sliders.
+  function pauseTimeline() {
+    morphTimeline.pause();
+    uiRefresh?.();
+  }
+
+  function seekTimeline(seconds) {
+    applyTimelineState(morphTimeline.seek(seconds));
+  }
+
+  /* ---------------- Touch Morph (Mobile Scroll Emulation) ---------------- */
+  const TOUCH_MORPH_SENSITIVITY = 1.4;
+  const touchMorphState = {
+    pointerId: null,
+    startX: 0,
+    startY: 0,
+    startMorph: 0,
+    active: false,
+    deciding: false,
+    prevControlsEnabled: true,
+  };
+
+  function touchMorphReset() {
+    if (touchMorphState.pointerId === null) return;
+    if (touchMorphState.active) {
+      controls.enabled = touchMorphState.prevControlsEnabled;
+    }
+    touchMorphState.pointerId = null;
+    touchMorphState.active = false;
+    touchMorphState.deciding = false;
+  }
+
+  function shouldIgnoreTouchEvent(target) {
+    if (!target) return false;
+    if (typeof target.closest !== 'function') return false;
+    if (target.closest('#ui-panel')) return true;
+    if (target.closest('#ui-toggle')) return true;
+    return false;
+  }
+
+  function handlePointerDownForMorph(event) {
+    if (event.pointerType !== 'touch') return;
+    if (!allowWheelMorph || morphTimeline.playing || scrollChoreography) return;
+    if (touchMorphState.pointerId !== null) return;
+    if (shouldIgnoreTouchEvent(event.target)) return;
+
+    touchMorphState.pointerId = event.pointerId;
+    touchMorphState.startX = event.clientX;
+    touchMorphState.startY = event.clientY;
+    touchMorphState.startMorph = morphController.target;
+    touchMorphState.deciding = true;
+    touchMorphState.active = false;
+    touchMorphState.prevControlsEnabled = controls.enabled;
+  }
+
+  function handlePointerMoveForMorph(event) {
+    if (event.pointerId !== touchMorphState.pointerId) return;
+    if (!allowWheelMorph) return;
+
+    const dx = event.clientX - touchMorphState.startX;
+    const dy = event.clientY - touchMorphState.startY;
+
+    if (touchMorphState.deciding) {
+      const threshold = 6;
+      if (Math.abs(dx) + Math.abs(dy) < threshold) return;
+      if (Math.abs(dy) > Math.abs(dx) * 1.35) {
+        touchMorphState.active = true;
+        touchMorphState.deciding = false;
+        controls.enabled = false;
+      } else {
+        touchMorphReset();
+        return;
+      }
+    }
+
+    if (!touchMorphState.active) return;
+    event.preventDefault();
+    const delta = (touchMorphState.startY - event.clientY) / viewHeight;
+    morphController.drag(touchMorphState.startMorph + delta * TOUCH_MORPH_SENSITIVITY, event.timeStamp);
+  }
+
+  function handlePointerEndForMorph(event) {
+    if (event.pointerId !== touchMorphState.pointerId) return;
+    if (touchMorphState.active) morphController.release(event.timeStamp); // glide on
+    touchMorphReset();
+  }
+
+  // Page-wide with scrollMorph (swipes stand in for scrolling), otherwise only on the canvas
+  const touchTarget = scrollMorph ? window : renderer.domElement;
+  touchTarget.addEventListener('pointerdown', handlePointerDownForMorph, { capture: true, passive: false, signal });
+  touchTarget.addEventListener('pointermove', handlePointerMoveForMorph, { capture: true, passive: false, signal });
+  touchTarget.addEventListener('pointerup', handlePointerEndForMorph, { capture: true, passive: true, signal });
+  touchTarget.addEventListener('pointercancel', handlePointerEndForMorph, { capture: true, passive: true, signal });
+  touchTarget.addEventListener('pointerleave', handlePointerEndForMorph, { capture: true, passive: true, signal });
+
+  // Load one keyframe geometry (point cloud path, image, SVG or generated text), normalized for view.
+  function loadKeyframeGeometry(path) {
+    if (path === TEXT_MORPH_TARGET) {
+      const baseCount = originalGeom?.getAttribute('position')?.count ?? 0;
+      return Promise.resolve(buildTextPointGeometry(bgTextLabel, baseCount));
+    }
+    const targetCount = originalGeom?.getAttribute('position')?.count || GENERATED_MODEL_POINTS;
+    if (getModelFormat(path) === 'image') return loadImagePoints(path, targetCount);
+    if (getModelFormat(path) === 'svg') return loadSvgPoints(path, targetCount);
+    return loadPointCloud(path);
+  }
+
+  // Accepts a single target path or an ordered keyframe chain (B, C, D … after the base model).
+  function loadMorphTargetGeometry(pathOrChain) {
+    if (lodOctree) return; // streamed octrees have no morph targets
+    const chain = (Array.isArray(pathOrChain) ? pathOrChain : [pathOrChain]).filter(Boolean);
+    const token = ++morphLoadToken;
+    morphTargetGeoms = [];
+    if (!chain.length) {
+      allowWheelMorph = false;
+      setMorphAmount(0);
+      buildPoints();
+      return;
+    }
+
+    Promise.all(chain.map(loadKeyframeGeometry)).then(
+      (geoms) => {
+        if (token !== morphLoadToken) return; // superseded by a newer model/target
+        morphTargetGeoms = geoms.filter((g) => g?.getAttribute?.('position'));
+        allowWheelMorph = morphTargetGeoms.length > 0;
+        if (allowWheelMorph) syncMorphToScroll(); else setMorphAmount(0);
+        buildPoints();
+        console.log('[PLY] morph chain ready:', chain.join(' → '));
+      },
+      (err) => {
+        if (token !== morphLoadToken) return;
+        console.error('PLY morph target load error:', err);
+        morphTargetGeoms = [];
+        allowWheelMorph = false;
+        setMorphAmount(0);
+        buildPoints();
+      }
+    );
+  }
+
+  /* ---------------- Morph Correspondence (worker) ---------------- */
+  // index: i-th sample ↔ i-th sample (file order)
+  // morton / hilbert: equal ranks along a space-filling curve
+  // nearest: greedy nearest-neighbour assignment
+  // ot: Hilbert start refined by local partner swaps (approximate optimal transport)
+  const CORRESPONDENCE_MODES = ['index', 'morton', 'hilbert', 'nearest', 'ot'];
+  let correspondenceMode = 'index';
+  let correspondenceWorker = null;
+  let correspondenceBusy = false;
+  let correspondenceJob = 0;
+
+  function resolveMorphCorrespondence(modelPath) {
+    const mode = MORPH_PAIRS[modelPath]?.correspondence;
+    return CORRESPONDENCE_MODES.includes(mode) ? mode : 'index';
+  }
+
+  // The choice is stored on the current model's MORPH_PAIRS entry, so loadModel() restores it
+  // when the model comes back round instead of falling back to the configured one.
+  function setCorrespondenceMode(mode) {
+    correspondenceMode = CORRESPONDENCE_MODES.includes(mode) ? mode : 'index';
+    const modelPath = models[modelIndex];
+    if (modelPath) {
+      const entry = MORPH_PAIRS[modelPath];
+      const targets = entry && typeof entry === 'object' && !Array.isArray(entry) ? entry.targets : entry ?? [];
+      MORPH_PAIRS[modelPath] = { targets, correspondence: correspondenceMode };
+    }
+    buildPoints();
+  }
+
+  // Reorder target keyframes in the worker, then swap the result into the live buffers.
+  // A newer request terminates a busy worker rather than queueing behind it.
+  function requestMorphCorrespondence() {
+    const id = ++correspondenceJob;
+    if (correspondenceMode === 'index' || !morphTargetGeoms.length || morphSamples.length < 2) return;
+
+    if (correspondenceWorker && correspondenceBusy) {
+      correspondenceWorker.terminate();
+      correspondenceWorker = null;
+    }
+    if (!correspondenceWorker) {
+      correspondenceWorker = new Worker(new URL('./correspondence-worker.js', import.meta.url), { type: 'module' });
+      correspondenceWorker.onmessage = handleCorrespondenceResult;
+      correspondenceWorker.onerror = (err) => {
+        console.error('[correspondence] worker error:', err);
+        correspondenceBusy = false;
+      };
+    }
+
+    const keyframes = morphSamples.map((smp) => ({
+      positions: smp.positions.slice(),
+      colors: smp.inheritsColors ? null : smp.colors.slice(),
+      visibility: smp.visibility?.slice(),
+    }));
+    const transfer = [];
+    for (const kf of keyframes) {
+      transfer.push(kf.positions.buffer);
+      if (kf.colors) transfer.push(kf.colors.buffer);
+      if (kf.visibility) transfer.push(kf.visibility.buffer);
+    }
+    correspondenceBusy = true;
+    correspondenceWorker.postMessage({ id, mode: correspondenceMode, keyframes }, transfer);
+  }
+
+  function handleCorrespondenceResult(event) {
+    const { id, keyframes, error } = event.data;
+    correspondenceBusy = false;
+    if (id !== correspondenceJob || !points) return; // stale: model or keyframes changed meanwhile
+    if (error) {
+      console.error('[correspondence] failed:', error);
+      return;
+    }
+
+    for (let k = 1; k < keyframes.length && k < morphSamples.length; k++) {
+      morphSamples[k].positions = keyframes[k].positions;
+      // Inherited colors follow the slot, not the point: take k-1's again by index
+      morphSamples[k].colors = keyframes[k].colors ?? morphSamples[k - 1].colors;
+      if (keyframes[k].visibility) morphSamples[k].visibility = keyframes[k].visibility;
+    }
+
+    // Keep per-point hashes tied to the new partners
+    const seed = points.geometry.getAttribute('seedPosition');
+    const base = morphSamples[0].positions;
+    const last = morphSamples[morphSamples.length - 1].positions;
+    for (let i = 0; i < seed.array.length; i++) seed.array[i] = base[i] + last[i];
+    seed.needsUpdate = true;
+
+    morphSegment = -1;
+    updateMorphUniform();
+    console.log('[correspondence] applied:', correspondenceMode);
+  }
+
+  // Wave glow shader: a moving front that brightens/enlarges points as it passes.
+  function makeGlowMaterial(hasVertexColor, baseSizePx = 3.0) {
+    const uniforms = {
+      uTime:        { value: 0.0 },
+      uDPR:         { value: Math.min(devicePixelRatio, 1.5) },
+      uBaseSize:    { value: baseSizePx }, // px
+      uPulseAmp:    { value: 1.2 },        // how much points grow at the wave front
+      uGlowBoost:   { value: glowBoost },  // brightness at the front
+      uColor:       { value: new THREE.Color(0xffffff) },
+      uUseVertexColor: { value: hasVertexColor ? 1 : 0 },
+      uMorph:       { value: 0.0 },        // 0=start, 1=target
+      uMorphStagger: { value: morphStagger }, // share of the morph spread out by morphDelay
+      uMorphPath:   { value: MORPH_PATH_MODES.indexOf(morphPath.mode) }, // see MORPH_PATH_MODES
+      uArcAmp:      { value: morphPath.arcAmp },
+      uCurlAmp:     { value: morphPath.curlAmp },
+      uCurlFreq:    { value: morphPath.curlFreq },
+      uVortexTurns: { value: morphPath.vortexTurns },
+      uGlowMode:    { value: glowMode === 'random' ? 1.0 : 0.0 },
+      uRandomGlowSpeed: { value: randomGlowSpeed },
+
+      // Size attenuation (0 = off, 1 = on). Ref distance where size is unchanged.
+      uSizeAttenEnabled: { value: 0.0 },
+      uSizeAttenRef:     { value: 2.0 },
+
+      // World-size points (true world units → pixels via projection)
+      uUseWorldSize: { value: 1.0 },  // default ON for this experiment
+      uWorldSize:    { value: 0.015 }, // diameter in world units
+      uPxPerUnit:    { value: 1.0 },   // pixels per world unit (CSS px)
+      // Random scatter amount (world units)
+      uScatterAmp:   { value: scatterAmp },
+      uSquareMix:    { value: squareMix },
+
+      // --- wave controls ---
+      // We normalized your model so the largest side ≈ 2 world units.
+      // Wave length/speed below are in those same units.
+      uWaveCenter:  { value: new THREE.Vector3(0, 0, 0) }, // center of circular wave
+      uWaveLength:  { value: 0.6 },  // distance between consecutive fronts (in world units)
+      uWaveSpeed:   { value: 0.6 },  // units per second that the front moves
+      uWaveWidth:   { value: 0.15 }, // thickness of the bright band (0..0.5)
+      uBandGamma:   { value: 1.5 },  // sharpness of the band response
+
+      // --- wind sway controls (world units) ---
+      uWindDir:     { value: new THREE.Vector3(1, 0, 0) }, // predominant wind direction
+      uWindAmp:     { value: 0.02 },  // max displacement at tips (world units)
+      uWindFreq:    { value: 0.8 },   // temporal frequency (Hz)
+      uWindSpatial: { value: 1.5 },   // spatial frequency along x/z
+      uWindEnabled: { value: 1.0 },   // 1 = on, 0 = off
+
+      // --- custom fog uniforms ---
+      uFogEnabled: { value: fogEnabled ? 1.0 : 0.0 },
+      uFogDensity: { value: fogDensity },
+      uFogColor:   { value: new THREE.Color(scene.background) },
+    };
+
+    const vertexShader = `
+      precision mediump float;
+      uniform float uTime;
+      uniform float uDPR;
+      uniform float uBaseSize;
+      uniform float uPulseAmp;
+      uniform float uGlowMode;
+      uniform float uRandomGlowSpeed;
+      uniform float uSizeAttenEnabled;
+      uniform float uSizeAttenRef;
+      // World-size uniforms
+      uniform float uUseWorldSize;
+      uniform float uWorldSize;
+      uniform float uPxPerUnit;
+      uniform float uScatterAmp;
+
+      uniform vec3  uWaveCenter;
+      uniform float uWaveLength;
+      uniform float uWaveSpeed;
+      uniform float uWaveWidth;
+      uniform float uBandGamma;
+
+      attribute vec3 color;
+      attribute vec3 morphPosition;
+      attribute vec3 morphColor;
+      attribute vec3 seedPosition; // stable across chain segments so hashes don't pop
+      attribute float morphDelay;  // 0..1 start offset
+      attribute float visibility;  // 0 for padding points that fade out (resampleMode 'fade')
+      attribute float morphVisibility;
+      uniform float uMorph;
+      uniform float uMorphStagger;
+      uniform float uMorphPath;
+      uniform float uArcAmp;
+      uniform float uCurlAmp;
+      uniform float uCurlFreq;
+      uniform float uVortexTurns;
+      // Wind uniforms
+      uniform vec3  uWindDir;
+      uniform float uWindAmp;
+      uniform float uWindFreq;
+      uniform float uWindSpatial;
+      uniform float uWindEnabled;
+      varying vec3  vColor;
+      varying float vPulse;
+      varying float vViewZ;
+      varying float vHash;
+      varying float vVisibility;
+
+      // Curl of psi = (sin(f y + a) cos(f z), sin(f z + b) cos(f x), sin(f x + c) cos(f y)) / 2f
+      vec3 curlField(vec3 q, float f, vec3 ph) {
+        vec3 a = q * f;
+        return 0.5 * vec3(
+          -sin(a.x + ph.z) * sin(a.y) - cos(a.z + ph.y) * cos(a.x),
+          -sin(a.y + ph.x) * sin(a.z) - cos(a.x + ph.z) * cos(a.y),
+          -sin(a.z + ph.y) * sin(a.x) - cos(a.y + ph.x) * cos(a.z)
+        );
+      }
+
+      // Offset from the straight path; zero at morph 0 and 1
+      vec3 morphPathOffset(vec3 p0, vec3 p1, vec3 p, float morph, vec3 randDir) {
+        float env = 4.0 * morph * (1.0 - morph);
+        if (env <= 0.0 || uMorphPath < 0.5) return vec3(0.0);
+        vec3 mid = (p0 + p1) * 0.5;
+        if (uMorphPath < 1.5) {
+          vec3 outward = normalize(mid + randDir * 0.35);
+          return outward * (uArcAmp * env);
+        }
+        if (uMorphPath < 2.5) {
+          vec3 ph = vec3(0.7, 1.9, 4.1) + uTime * 0.15;
+          vec3 drift = curlField(mid, uCurlFreq, ph) * (uCurlAmp * env * 0.5);
+          return drift + curlField(mid + drift, uCurlFreq, ph) * (uCurlAmp * env * 0.5); // two advection steps
+        }
+        float r = length(p.xz);
+        float angle = 6.2831853 * uVortexTurns * env * (0.6 + 0.16 / (0.4 + r)); // tighter near the axis
+        float c = cos(angle), s = sin(angle);
+        return vec3(c * p.x - s * p.z, p.y, s * p.x + c * p.z) - p;
+      }
+
+      void main() {
+        float stagger = morphDelay * uMorphStagger;
+        float morph = clamp((uMorph - stagger) / max(1.0 - uMorphStagger, 1e-3), 0.0, 1.0);
+        vec3 p0 = position;
+        vec3 p1 = morphPosition;
+        vec3 p = mix(p0, p1, morph);
+
+        // Stable random direction per point; displace by uScatterAmp
+        vec3 noiseSeed = seedPosition;
+        float h1 = fract(sin(dot(noiseSeed.xyz, vec3(127.1, 311.7,  74.7))) * 43758.5453);
+        float h2 = fract(sin(dot(noiseSeed.yzx, vec3(269.5, 183.3, 246.1))) * 43758.5453);
+        float h3 = fract(sin(dot(noiseSeed.zxy, vec3(113.5, 271.9, 124.6))) * 43758.5453);
+        vec3 randDir = normalize(vec3(h1 * 2.0 - 1.0, h2 * 2.0 - 1.0, h3 * 2.0 - 1.0) + 1e-4);
+        p += morphPathOffset(p0, p1, p, morph, randDir);
+
+        // Height factor (0 at base, 1 at top). Model is roughly in [-1,1] Y.
+        float h = clamp(p.y * 0.5 + 0.5, 0.0, 1.0);
+
+        p += randDir * uScatterAmp;
+
+        // Pseudo-random per-point phase for variation
+        float hash = fract(sin(dot(noiseSeed.xyz, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+        vHash = hash;
+
+        // Time-varying wind direction (slowly rotates) blended with user dir
+        vec3 rotDir = normalize(vec3(cos(uTime * 0.05), 0.0, sin(uTime * 0.05)));
+        vec3 windDir = normalize(normalize(uWindDir) * 0.6 + rotDir * 0.4);
+
+        // Smooth sinusoidal sway with spatial variation and per-point phase
+        float sway = sin(uTime * uWindFreq + (p.x + p.z) * uWindSpatial + hash * 6.2831853);
+
+        // Apply displacement increasing with height so bases stay steadier
+        p += windDir * (uWindAmp * sway * (0.2 + 0.8 * h)) * uWindEnabled;
+
+        // World position for spatial wave
+        vec3 worldPos = (modelMatrix * vec4(p, 1.0)).xyz;
+
+        // Radial distance from wave center (circular/spherical wave)
+        float coord = length(worldPos - uWaveCenter);
+
+        // Phase of the traveling wave (0..1 wraps every wavelength)
+        float phase = fract( (coord / max(uWaveLength, 1e-5)) - uTime * uWaveSpeed );
+
+        // Distance to nearest wave front (fronts at phase=0 and 1)
+        float distToFront = min(phase, 1.0 - phase); // in [0, 0.5]
+
+        // Convert to a soft band: 1 at front, 0 away from it
+        float band = smoothstep(uWaveWidth, 0.0, distToFront); // thinner band -> sharper front
+        float wavePulse = pow(band, uBandGamma);
+
+        float randomPhase = uTime * uRandomGlowSpeed + hash * 6.2831853;
+        float flicker = clamp(0.5 + 0.5 * sin(randomPhase), 0.0, 1.0);
+        float randomPulse = pow(flicker, 3.0);
+
+        float modeMix = clamp(uGlowMode, 0.0, 1.0);
+        vPulse = mix(wavePulse, randomPulse, modeMix);
+
+        // Point size: choose screen-space constant or world-space diameter
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        float dist = max(0.01, -mvPosition.z);
+        float sizeScreenPx = uBaseSize; // constant pixel size
+        float sizeWorldPx  = uWorldSize * (uPxPerUnit / dist); // projection-based pixels
+        float basePx = mix(sizeScreenPx, sizeWorldPx, uUseWorldSize);
+        // Optional legacy attenuation for screen-space mode
+        float atten = mix(1.0, clamp(uSizeAttenRef / dist, 0.1, 4.0), uSizeAttenEnabled * (1.0 - uUseWorldSize));
+        float sizePx = basePx * (1.0 + uPulseAmp * vPulse) * atten;
+        // As scatter increases to 0.5, shrink point size to 0
+        float scatterScale = clamp(1.0 - (uScatterAmp / 0.5), 0.0, 1.0);
+        sizePx *= scatterScale;
+        vVisibility = mix(visibility, morphVisibility, morph);
+        sizePx *= vVisibility;
+        gl_PointSize = sizePx * uDPR;
+        vColor = mix(color, morphColor, morph); // (0,0,0) if no vertex colors bound
+        vViewZ = dist;
+        gl_Position = projectionMatrix * mvPosition;
+      }
+    `;
+
+    const fragmentShader = `
+      precision mediump float;
+
+  uniform vec3  uColor;
+  uniform float uGlowBoost;
+  uniform float uUseVertexColor;
+  uniform float uScatterAmp;
+  uniform float uSquareMix;
+  uniform float uFogEnabled;
+  uniform float uFogDensity;
+  uniform vec3  uFogColor;
+
+  varying vec3  vColor;
+  varying float vPulse;
+  varying float vViewZ;
+  varying float vHash;
+  varying float vVisibility;
+
+  void main() {
+    if (vVisibility < 0.01) discard;
+    vec2 uv = gl_PointCoord * 2.0 - 1.0;
+    float squareMask = step(1.0 - uSquareMix, vHash);
+    float r2 = dot(uv, uv);
+    if (squareMask < 0.5 && r2 > 1.0) discard;
+
+    float alpha = 1.0;
+    if (squareMask >= 0.5) {
+      float edge = max(abs(uv.x), abs(uv.y));
+      alpha = clamp(1.0 - smoothstep(0.96, 1.0, edge), 0.0, 1.0);
+      if (alpha <= 0.0) discard;
+    }
+
+    vec3 base = mix(uColor, vColor, uUseVertexColor);
+    vec3 col  = base * (1.0 + uGlowBoost * vPulse);
+
+    // Exponential squared fog based on view-space depth (approx via gl_FragCoord)
+    // We approximate view depth using gl_FragCoord.z in [0,1] mapped by density scalar.
+    // For point sprites, this is sufficient for a soft atmospheric effect.
+    if (uFogEnabled > 0.5) {
+      float f = 1.0 - exp(-pow(uFogDensity * vViewZ, 2.0));
+      col = mix(col, uFogColor, clamp(f, 0.0, 1.0));
+    }
+
+    gl_FragColor = vec4(col, alpha * vVisibility);
+  }
+    `;
+
+    const material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: true,
+      blending: THREE.NormalBlending,
+    });
+    // Attributes only some geometries carry: LOD nodes have no morphDelay, and visibility
+    // exists only with faded padding
+    Object.assign(material.defaultAttributeValues, { morphDelay: [0], visibility: [1], morphVisibility: [1] });
+    return material;
+  }
+
+  /* ---------------- Load PLY & Build Points ---------------- */
+  const loader = new PLYLoader();
+  const lasLoader = new LASLoader();
+  const xyzLoader = new XYZLoader(); // auto-detects columns; use setColumns()/setDelimiter() for odd exports
+  const pcdLoader = new PCDLoader();
+
+  // Meshes (glTF, OBJ, STL) need three.js to parse, so they stay on the main thread and
+  // their surfaces are sampled into meshSampleCount points (js/mesh-sampler.js); glTF
+  // POINTS primitives are used as they are.
+  let meshSampleCount = 200_000;
+
+  function meshPointsLoader(meshLoader, toScene) {
+    return {
+      load(url, onLoad, onProgress, onError) {
+        meshLoader.load(url, (result) => {
+          try {
+            onLoad(sceneToPointGeometry(toScene(result), { sampleCount: meshSampleCount, rand: mulberry32(1) }));
+          } catch (err) {
+            onError?.(err);
+          }
+        }, onProgress, onError);
+      },
+    };
+  }
+
+  function setMeshSampleCount(value) {
+    meshSampleCount = Math.round(THREE.MathUtils.clamp(value, 10_000, 2_000_000));
+    reloadModelsOfFormat(MESH_FORMATS);
+  }
+
+  // Images (js/image-points.js) and SVGs (js/svg-points.js) become flat clouds. As morph
+  // targets they match the base model's point count; loaded as a model they get
+  // GENERATED_MODEL_POINTS.
+  const GENERATED_MODEL_POINTS = 200_000;
+  const imagePointOptions = { ...DEFAULT_IMAGE_POINT_OPTIONS, depth: 0.1 };
+
+  function loadImagePoints(path, targetCount) {
+    setLoadingStatus(path, formatLoadProgress(path, 'download', 0, 0));
+    return loadImagePointGeometry(resolveModelUrl(path), targetCount, imagePointOptions, mulberry32(1)).finally(
+      () => setLoadingStatus(path, null)
+    );
+  }
+
+  function setImagePointOptions(options) {
+    Object.assign(imagePointOptions, options);
+    if (!IMAGE_SAMPLING_MODES.includes(imagePointOptions.mode)) imagePointOptions.mode = 'auto';
+    imagePointOptions.depth = THREE.MathUtils.clamp(Number(imagePointOptions.depth) || 0, 0, 1);
+    reloadModelsOfFormat(new Set(['image']));
+  }
+
+  // 'svg:<path data>' keyframes are sampled from the inline path instead of a file
+  const SVG_PATH_PREFIX = 'svg:';
+  const svgPointOptions = { ...DEFAULT_SVG_POINT_OPTIONS };
+
+  function loadSvgPoints(path, targetCount) {
+    const source = path.startsWith(SVG_PATH_PREFIX)
+      ? Promise.resolve(path.slice(SVG_PATH_PREFIX.length))
+      : fetch(resolveModelUrl(path)).then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${path}`);
+        return response.text();
+      });
+    return source.then((svg) => {
+      const geom = svgToPointGeometry(svg, targetCount, svgPointOptions, mulberry32(1));
+      if (!geom) throw new Error(`${path}: no filled or stroked shapes`);
+      return geom;
+    });
+  }
+
+  function setSvgPointOptions(options) {
+    Object.assign(svgPointOptions, options);
+    svgPointOptions.depth = THREE.MathUtils.clamp(Number(svgPointOptions.depth) || 0, 0, 1);
+    reloadModelsOfFormat(new Set(['svg']));
+  }
+
+  // Regenerates whatever part of the current model / morph chain was loaded from `formats`.
+  function reloadModelsOfFormat(formats) {
+    const path = models[modelIndex];
+    const targets = [resolveMorphTargetPath(path)].flat().filter(Boolean);
+    const uses = (p) => formats.has(getModelFormat(p));
+    if (uses(path)) loadModel(path);
+    else if (targets.some(uses)) loadMorphTargetGeometry(targets);
+  }
+
+  const gltfPointsLoader = meshPointsLoader(new GLTFLoader(), (gltf) => gltf.scene);
+  const objPointsLoader = meshPointsLoader(new OBJLoader(), (group) => group);
+  const stlPointsLoader = meshPointsLoader(new STLLoader(), (geometry) => new THREE.Mesh(geometry));
+
+  // Format by file extension; anything unrecognised is tried as PLY
+  const MODEL_FORMATS = {
+    ply: 'ply',
+    las: 'las',
+    laz: 'las',
+    xyz: 'xyz',
+    pts: 'xyz',
+    csv: 'xyz',
+    txt: 'xyz',
+    pcd: 'pcd',
+    gltf: 'gltf',
+    glb: 'gltf',
+    obj: 'obj',
+    stl: 'stl',
+    svg: 'svg',
+    png: 'image',
+    jpg: 'image',
+    jpeg: 'image',
+    webp: 'image',
+  };
+
+  // Formats js/model-worker.js can parse; the rest always load on the main thread
+  const WORKER_FORMATS = new Set(['ply', 'las', 'xyz', 'pcd']);
+  const MESH_FORMATS = new Set(['gltf', 'obj', 'stl']);
+
+  // Main-thread loaders, used for non-worker formats and when module workers are unavailable
+  // (images and SVGs are not in here: loadImagePoints() / loadSvgPoints() need the target point count)
+  const FORMAT_LOADERS = {
+    ply: loader,
+    las: lasLoader,
+    xyz: xyzLoader,
+    pcd: pcdLoader,
+    gltf: gltfPointsLoader,
+    obj: objPointsLoader,
+    stl: stlPointsLoader,
+  };
+
+  function getPathExtension(path) {
+    return (path.split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+  }
+
+  function getModelFormat(path) {
+    if (path.startsWith(SVG_PATH_PREFIX)) return 'svg';
+    return MODEL_FORMATS[getPathExtension(path)] ?? 'ply';
+  }
+
+  function getLoaderForPath(path) {
+    return FORMAT_LOADERS[getModelFormat(path)];
+  }
+
+  /* ---------------- Model Loading (worker) ---------------- */
+  // Fetch, parse, decimate and normalize run in js/model-worker.js; the main thread only
+  // wraps the transferred arrays in a BufferGeometry. Meshes (glTF, OBJ, STL), and every format when module
+  // workers are unavailable, goes through the three.js loaders above instead.
+  const MAX_LOADED_POINTS = 4_000_000; // larger scans are decimated in the worker
+  let modelWorker = null;
+  let modelWorkerJob = 0;
+  let modelLoadToken = 0;
+  const modelWorkerJobs = new Map(); // id → { path, resolve, reject }
+  const loadingStatus = new Map();   // path → progress text
+
+  function setLoadingStatus(path, text) {
+    if (text) loadingStatus.set(path, text);
+    else loadingStatus.delete(path);
+    const el = ui ? document.getElementById('loading') : null;
+    if (!el) return;
+    el.textContent = Array.from(loadingStatus.values()).join('\n');
+    el.hidden = loadingStatus.size === 0;
+  }
+
+  function formatLoadProgress(path, stage, loaded, total) {
+    const name = path.split('/').pop();
+    if (stage !== 'download') return `${name}: ${stage === 'parse' ? 'parsing' : 'preparing'}…`;
+    if (total) return `${name}: ${Math.round(loaded / total * 100)}%`;
+    return `${name}: ${(loaded / 1048576).toFixed(1)} MB`;
+  }
+
+  function getModelWorker() {
+    if (modelWorker) return modelWorker;
+    if (typeof Worker === 'undefined') return null;
+    try {
+      modelWorker = new Worker(new URL('./model-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      console.warn('[loader] model worker unavailable, parsing on the main thread:', err);
+      return null;
+    }
+    modelWorker.onmessage = handleModelWorkerMessage;
+    modelWorker.onerror = (err) => {
+      // Module load failure (or a crash): fail pending jobs, retry with a fresh worker next time
+      console.error('[loader] worker error:', err);
+      for (const job of modelWorkerJobs.values()) {
+        setLoadingStatus(job.path, null);
+        job.reject(err);
+      }
+      modelWorkerJobs.clear();
+      modelWorker?.terminate();
+      modelWorker = null;
+    };
+    return modelWorker;
+  }
+
+  function handleModelWorkerMessage(event) {
+    const { id, type } = event.data;
+    const job = modelWorkerJobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      const { stage, loaded, total } = event.data;
+      setLoadingStatus(job.path, formatLoadProgress(job.path, stage, loaded, total));
+      return;
+    }
+
+    modelWorkerJobs.delete(id);
+    setLoadingStatus(job.path, null);
+    if (type === 'error') {
+      job.reject(new Error(event.data.message));
+      return;
+    }
+    const geom = cloudToGeometry(event.data.cloud);
+    geom.computeBoundingBox();
+    geom.computeBoundingSphere();
+    job.resolve(geom);
+  }
+
+  // Resolves to a view-normalized BufferGeometry for any supported model path.
+  function loadPointCloud(path) {
+    if (getModelFormat(path) === 'image') return loadImagePoints(path, GENERATED_MODEL_POINTS);
+    if (getModelFormat(path) === 'svg') return loadSvgPoints(path, GENERATED_MODEL_POINTS);
+    const worker = WORKER_FORMATS.has(getModelFormat(path)) ? getModelWorker() : null;
+    const url = resolveModelUrl(path);
+    setLoadingStatus(path, formatLoadProgress(path, 'download', 0, 0));
+
+    if (!worker) {
+      return new Promise((resolve, reject) => {
+        getLoaderForPath(path).load(
+          url,
+          (geom) => {
+            setLoadingStatus(path, null);
+            resolve(prepareGeometryForView(geom));
+          },
+          (e) => setLoadingStatus(path, formatLoadProgress(path, 'download', e.loaded, e.lengthComputable ? e.total : 0)),
+          (err) => {
+            setLoadingStatus(path, null);
+            reject(err);
+          }
+        );
+      });
+    }
+
+    const id = ++modelWorkerJob;
+    return new Promise((resolve, reject) => {
+      modelWorkerJobs.set(id, { path, resolve, reject });
+      worker.postMessage({
+        id,
+        // Workers resolve relative URLs against their own script; blob: URLs pass through
+        url: new URL(url, document.baseURI).href,
+        format: getModelFormat(path),
+        options: {
+          maxPoints: MAX_LOADED_POINTS,
+          xyz: { columns: xyzLoader.columns, delimiter: xyzLoader.delimiter },
+        },
+      });
+    });
+  }
+
+  let originalGeom = null; // unmodified, for re-subsampling
+  let points = null;       // THREE.Points instance
+
+  // model → morph target, or an ordered keyframe chain: ['b.ply', 'c.ply', …].
+  // Use { targets, correspondence } to pick a point-pairing mode (see CORRESPONDENCE_MODES).
+  const MORPH_PAIRS = { ...morphPairs };
+  let morphTargetGeoms = [];  // keyframes after the base model, in chain order
+  let morphSamples = [];      // per-keyframe { positions, colors } at the shared point count
+  let morphSegment = -1;      // chain segment currently uploaded to the GPU buffers
+  let morphLoadToken = 0;
+  let morphAmount = 0.0;
+  let allowWheelMorph = false;
+
+  let keepRatio = 0.18;    // ↓ fewer points for speed (try 0.10–0.25)
+  let pointSizePx = 3.0;   // ↑ base point size (pixels)
+  let useScreenSize = true; // kept for API parity; shader uses screen-space size
+  let scatterAmp = 0.0;    // random displacement amplitude (world units)
+  let glowMode = 'wave';   // 'wave' or 'random'
+  let glowBoost = 1.1;     // brightness at the front
+  let randomGlowSpeed = 1.2; // Hz for random flicker
+  let squareMix = 0.0;     // 0 = circles, 1 = all squares
+
+  // One permutation, computed from the base keyframe and applied to every keyframe: pairs
+  // stay matched and each prefix of the buffers is a thinning in the chosen sampling mode,
+  // so density is just a draw range (see js/sampling.js for the modes).
+  //
+  // Orders are cached per base geometry. Voxel and poisson take seconds on big clouds, so
+  // they come from js/sampling-worker.js: until one lands the random order stands in and
+  // the points are rebuilt when it arrives.
+  const DENSITY_SHUFFLE_SEED = 0x5eed;
+  let samplingMode = 'random';
+  const sampleOrderCache = new WeakMap(); // originalGeom → Map('mode:count:resample' → order)
+  let samplingWorker = null;
+  let samplingJob = 0;
+  let samplingPending = null; // { geom, key } of the job in flight
+
+  function getSampleOrder(positions, count, mode = samplingMode) {
+    const key = `${mode}:${count}:${resampleMode}`;
+    let orders = sampleOrderCache.get(originalGeom);
+    if (!orders) sampleOrderCache.set(originalGeom, orders = new Map());
+    const cached = orders.get(key);
+    if (cached) return cached;
+
+    if (WORKER_SAMPLING_MODES.includes(mode) && requestSampleOrder(positions, count, mode, key)) {
+      return getSampleOrder(positions, count, 'random'); // stand-in until the worker answers
+    }
+    const order = computeSampleOrder(positions, count, mode, mulberry32(DENSITY_SHUFFLE_SEED));
+    orders.set(key, order);
+    return order;
+  }
+
+  // Posts the job (or keeps the identical one in flight) and returns true; false when there
+  // is no worker, so the caller orders in place. A different job replaces a busy worker.
+  function requestSampleOrder(positions, count, mode, key) {
+    if (samplingPending?.geom === originalGeom && samplingPending.key === key) return true;
+    if (samplingWorker && samplingPending) {
+      samplingWorker.terminate();
+      samplingWorker = null;
+    }
+    if (!samplingWorker) {
+      if (typeof Worker === 'undefined') return false;
+      try {
+        samplingWorker = new Worker(new URL('./sampling-worker.js', import.meta.url), { type: 'module' });
+      } catch (err) {
+        console.warn('[sampling] worker unavailable, ordering on the main thread:', err);
+        return false;
+      }
+      samplingWorker.onmessage = handleSampleOrder;
+      samplingWorker.onerror = (err) => {
+        console.error('[sampling] worker error:', err);
+        samplingWorker?.terminate();
+        samplingWorker = null;
+        samplingPending = null;
+      };
+    }
+
+    const id = ++samplingJob;
+    samplingPending = { id, geom: originalGeom, key };
+    const copy = positions.slice(0, count * 3);
+    samplingWorker.postMessage({ id, positions: copy, count, mode, seed: DENSITY_SHUFFLE_SEED }, [copy.buffer]);
+    return true;
+  }
+
+  function handleSampleOrder(event) {
+    const { id, order, error } = event.data;
+    const job = samplingPending;
+    if (!job || id !== job.id) return;
+    samplingPending = null;
+    if (error) {
+      console.error('[sampling] failed:', error);
+      return;
+    }
+    sampleOrderCache.get(job.geom)?.set(job.key, order);
+    if (job.geom === originalGeom) buildPoints(); // picks the order up from the cache
+  }
+
+  function orderSamples(samples) {
+    const count = samples[0].count;
+    const order = getSampleOrder(samples[0].positions, count);
+
+    const permute = (src) => {
+      const out = new Float32Array(src.length);
+      for (let i = 0; i < count; i++) {
+        const o = order[i] * 3;
+        out[i * 3 + 0] = src[o];
+        out[i * 3 + 1] = src[o + 1];
+        out[i * 3 + 2] = src[o + 2];
+      }
+      return out;
+    };
+    for (const smp of samples) {
+      smp.positions = permute(smp.positions);
+      if (smp.colors) smp.colors = permute(smp.colors);
+      if (smp.visibility) smp.visibility = smp.visibility.map((_, i) => smp.visibility[order[i]]);
+    }
+  }
+
+  // How keyframes with different point counts are matched up (see js/resample.js)
+  const RESAMPLE_SEED = 0x9ad5;
+  let resampleMode = 'min';
+
+  function setResampleMode(mode) {
+    resampleMode = RESAMPLE_MODES.includes(mode) ? mode : 'min';
+    buildPoints();
+  }
+
+  function setSamplingMode(mode) {
+    samplingMode = SAMPLING_MODES.includes(mode) ? mode : 'random';
+    buildPoints();
+  }
+
+  // Show the first keepRatio of the (ordered) points; no reallocation, uniforms untouched.
+  function applyDensity() {
+    if (!points) return;
+    const count = points.geometry.getAttribute('position').count;
+    points.geometry.setDrawRange(0, Math.max(1, Math.floor(count * keepRatio)));
+  }
+
+  function setKeepRatio(value) {
+    keepRatio = THREE.MathUtils.clamp(value, 0.02, 1.0);
+    applyDensity();
+  }
+
+  function buildPoints() {
+    updateMorphSnapPoints();
+    if (lodOctree) {
+      buildLodPoints();
+      return;
+    }
+    if (!originalGeom) return;
+
+    const basePos = originalGeom.getAttribute('position');
+    if (!basePos) return;
+
+    // Every keyframe is resampled to one shared count and uploaded once: the smallest
+    // keyframe's count, or with padding (resampleMode) the largest one's. keepRatio only
+    // moves the draw range (see applyDensity)
+    const keyframes = [originalGeom, ...morphTargetGeoms];
+    const counts = keyframes.map((g) => g.getAttribute('position').count);
+    const finalCount = resampleMode === 'min' ? Math.min(...counts) : Math.max(...counts);
+
+    const padRand = mulberry32(RESAMPLE_SEED);
+    const samples = keyframes.map((g) => {
+      const smp = sampleGeometryAttributes(g, finalCount);
+      return smp && padSample(smp, finalCount, resampleMode, padRand);
+    });
+    const baseSample = samples[0];
+    if (!baseSample || samples.some((smp) => !smp)) return;
+    // Faded padding: keyframes without hidden points are fully visible
+    if (samples.some((smp) => smp.visibility)) {
+      for (const smp of samples) smp.visibility ??= new Float32Array(smp.count).fill(1);
+    }
+    const hasColor = !!baseSample.colors;
+    orderSamples(samples);
+
+    // Keyframes without colors inherit the previous keyframe's (white for a colorless base)
+    if (!baseSample.colors) {
+      baseSample.colors = new Float32Array(baseSample.count * 3);
+      baseSample.colors.fill(1);
+    }
+    // (by index: correspondence re-derives them instead of permuting them, see below)
+    for (let k = 1; k < samples.length; k++) {
+      if (samples[k].colors) continue;
+      samples[k].colors = samples[k - 1].colors;
+      samples[k].inheritsColors = true;
+    }
+    if (samples.length === 1) samples.push(baseSample); // static: morph toward itself
+    morphSamples = samples;
+    morphSegment = -1;
+
+    const last = samples[samples.length - 1];
+    const seedArray = new Float32Array(baseSample.count * 3);
+    for (let i = 0; i < seedArray.length; i++) seedArray[i] = baseSample.positions[i] + last.positions[i];
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(baseSample.positions.slice(), 3));
+    geom.setAttribute('color', new THREE.BufferAttribute(baseSample.colors.slice(), 3));
+    geom.setAttribute('morphPosition', new THREE.BufferAttribute(samples[1].positions.slice(), 3));
+    geom.setAttribute('morphColor', new THREE.BufferAttribute(samples[1].colors.slice(), 3));
+    geom.setAttribute('seedPosition', new THREE.BufferAttribute(seedArray, 3));
+    geom.setAttribute('morphDelay', new THREE.BufferAttribute(computePointDelays(baseSample.positions, baseSample.count), 1));
+    if (baseSample.visibility) {
+      geom.setAttribute('visibility', new THREE.BufferAttribute(baseSample.visibility.slice(), 1));
+      geom.setAttribute('morphVisibility', new THREE.BufferAttribute(samples[1].visibility.slice(), 1));
+    }
+
+    // Bounds cover every keyframe so culling stays correct mid-chain
+    const bounds = new THREE.Box3();
+    for (const smp of samples) {
+      const box = new THREE.Box3().setFromArray(smp.positions);
+      bounds.union(box);
+    }
+    geom.boundingBox = bounds;
+    geom.boundingSphere = bounds.getBoundingSphere(new THREE.Sphere());
+
+    setPointsObject(geom, makeGlowMaterial(hasColor, pointSizePx));
+    applyDensity();
+    updateMorphUniform();
+    requestMorphCorrespondence();
+    syncPointSizeUniforms();
+    updateFog();
+  }
+
+  function setPointsObject(geom, mat) {
+    if (mat?.uniforms?.uSquareMix) mat.uniforms.uSquareMix.value = squareMix;
+
+    if (points) {
+      points.geometry.dispose();
+      points.material.dispose();
+      scene.remove(points);
+    }
+
+    points = new THREE.Points(geom, mat);
+    points.frustumCulled = true;
+    scene.add(points);
+    scrollChoreography?.update(); // fresh uniforms pick up the section's glow
+  }
+
+  function setPointSize(px) {
+    pointSizePx = THREE.MathUtils.clamp(px, 0.5, 12);
+    buildPoints();
+    // If world-size mode is active, keep world size matching the new target pixel size at ref distance
+    const u = points?.material?.uniforms;
+    if (u && u.uUseWorldSize.value > 0.5) {
+      const pxPerUnit = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+      const refDist = u.uSizeAttenRef.value || camera.position.distanceTo(controls.target);
+      u.uWorldSize.value = Math.max(1e-5, pointSizePx * refDist / pxPerUnit);
+    }
+  }
+
+  function syncPointSizeUniforms() {
+    const u = points?.material?.uniforms;
+    if (u) {
+      const pxPerUnit = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+      u.uPxPerUnit.value = pxPerUnit;
+      if (u.uUseWorldSize.value > 0.5) {
+        const refDist = camera.position.distanceTo(controls.target);
+        u.uWorldSize.value = Math.max(1e-5, pointSizePx * refDist / pxPerUnit);
+      }
+    }
+  }
+
+  /* ---------------- Octree LOD (streamed) ---------------- */
+  // '<name>.lod' model paths point at a chunked octree (see js/lod-octree.js). The root
+  // `points` object is empty and only carries the material, so everything that reads
+  // points.material keeps working; the octree's node objects hang below it and are
+  // swapped in and out against lodPointBudget every frame. LOD models do not morph.
+  let lodOctree = null;
+  let lodPointBudget = 2_000_000;
+
+  function buildLodPoints() {
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(0), 3));
+    const { min, max } = lodOctree.index.pointBounds ?? lodOctree.index.bounds;
+    geom.boundingBox = new THREE.Box3().setFromArray([...min, ...max]); // framing
+    geom.boundingSphere = geom.boundingBox.getBoundingSphere(new THREE.Sphere());
+
+    setPointsObject(geom, makeGlowMaterial(lodOctree.index.hasColor, pointSizePx));
+    lodOctree.setMaterial(points.material);
+    points.add(lodOctree.object);
+    morphSamples = [];
+    morphSegment = -1;
+    syncPointSizeUniforms();
+    updateFog();
+  }
+
+  function disposeLodOctree() {
+    lodOctree?.dispose();
+    lodOctree = null;
+  }
+
+  function setLodPointBudget(value) {
+    lodPointBudget = THREE.MathUtils.clamp(value, 100_000, 20_000_000);
+    if (lodOctree) lodOctree.pointBudget = lodPointBudget;
+  }
+
+  function loadLodModel(path, token) {
+    const url = resolveModelUrl(path);
+    setLoadingStatus(path, formatLoadProgress(path, 'download', 0, 0));
+    return loadLodIndex(url).then(
+      (index) => {
+        setLoadingStatus(path, null);
+        if (token !== modelLoadToken) return;
+        disposeLodOctree();
+        lodOctree = new LODOctree(url, index, { pointBudget: lodPointBudget });
+        originalGeom = null;
+        morphTargetGeoms = [];
+        setMorphAmount(0);
+        buildPoints();
+        frameModel();
+        console.log('[LOD] points:', index.pointCount, 'nodes:', index.nodes.length, 'hasColor:', !!index.hasColor);
+      },
+      (err) => {
+        setLoadingStatus(path, null);
+        console.error('LOD load error:', err);
+      }
+    );
+  }
+
+  // Available models (cycled by the model button and the timeline) and current index
+  const models = [...initialModels];
+  let modelIndex = 0;
+
+  // Resolves once the model is shown, or after a load error has been logged.
+  function loadModel(path) {
+    console.log('[PLY] loading:', path);
+    const token = ++modelLoadToken;
+    if (getPathExtension(path) === 'lod') {
+      return loadLodModel(path, token);
+    }
+    return loadPointCloud(path).then(
+      (geom) => {
+        if (token !== modelLoadToken) return; // another model was picked while this one loaded
+        disposeLodOctree();
+        originalGeom = geom;
+        morphTargetGeoms = []; // previous model's chain; the new one loads below
+        correspondenceMode = resolveMorphCorrespondence(path);
+        setMorphAmount(0);
+        buildPoints(); // initial draw
+        frameModel();
+
+        console.log('[PLY] points:', geom.getAttribute('position')?.count ?? 0,
+                    'hasColor:', !!geom.getAttribute('color'));
+        console.log(`[viewer] keepRatio=${keepRatio}, pointSizePx=${pointSizePx}`);
+
+        loadMorphTargetGeometry(resolveMorphTargetPath(path));
+      },
+      (err) => console.error('PLY load error:', err)
+    );
+  }
+
+  // Show `path`, adding it to the model cycle if it is new. morphTarget (when given)
+  // replaces its MORPH_PAIRS entry first, so the target loads once with the model.
+  function showModel(path, { morphTarget } = {}) {
+    if (morphTarget !== undefined) setMorphPair(path, morphTarget);
+    const index = models.indexOf(path);
+    modelIndex = index >= 0 ? index : models.push(path) - 1;
+    return loadModel(path);
+  }
+
+  function frameModel() {
+    // frame camera to points
+    const box = new THREE.Box3().setFromObject(points);
+    const size = new THREE.Vector3(), center = new THREE.Vector3();
+    box.getSize(size); box.getCenter(center);
+    const md = Math.max(size.x, size.y, size.z) || 1;
+    const dist = (md / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * 1.2;
+    camera.position.copy(center).add(new THREE.Vector3(0, 0, dist));
+    frameDistance = dist;
+    camera.near = Math.max(dist / 1e5, 0.01);
+    camera.far = dist * 1e5;
+    camera.updateProjectionMatrix();
+    controls.target.copy(center);
+    controls.update();
+
+    // Set size attenuation reference distance to the framing distance
+    if (points && points.material && points.material.uniforms) {
+      const u = points.material.uniforms;
+      u.uSizeAttenRef.value = dist;
+      // Update projection scale for world-size conversion
+      u.uPxPerUnit.value = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+      // Choose world size so initial pixel size matches current base size at dist
+      if (u.uUseWorldSize.value > 0.5) {
+        u.uWorldSize.value = Math.max(1e-5, pointSizePx * dist / u.uPxPerUnit.value);
+      }
+    }
+
+    // Ask UI to sync with current material uniforms (and the model button)
+    uiRefresh?.();
+  }
+
+  /* ---------------- Local Files (drag & drop / file picker) ---------------- */
+  // Local files get a 'local/<name>' pseudo-path so the extension still picks the loader
+  // and the model button shows the file name; the blob URL is looked up at load time.
+  const localModelUrls = new Map();
+
+  function resolveModelUrl(path) {
+    return localModelUrls.get(path) ?? path;
+  }
+
+  function registerLocalFile(file) {
+    if (!MODEL_FORMATS[getPathExtension(file.name)]) {
+      console.warn('[files] unsupported file type:', file.name);
+      return null;
+    }
+    let path = `local/${file.name}`;
+    for (let n = 2; localModelUrls.has(path); n++) path = `local/${n}/${file.name}`;
+    localModelUrls.set(path, URL.createObjectURL(file));
+    return path;
+  }
+
+  // Append files to the model cycle and show the first one right away.
+  function addLocalModels(files) {
+    const paths = Array.from(files ?? []).map(registerLocalFile).filter(Boolean);
+    if (!paths.length) return;
+    models.push(...paths);
+    modelIndex = models.length - paths.length;
+    loadModel(models[modelIndex]);
+  }
+
+  // Use a file as the morph target of the current model (keeps its correspondence mode).
+  function setLocalMorphTarget(file) {
+    setMorphTargetPath(file ? registerLocalFile(file) : null);
+  }
+
+  function setMorphTargetPath(path) {
+    if (!path) return;
+    const modelPath = models[modelIndex];
+    MORPH_PAIRS[modelPath] = { targets: path, correspondence: correspondenceMode };
+    loadMorphTargetGeometry(resolveMorphTargetPath(modelPath));
+  }
+
+  // Empty targets drop the pair; the model's own correspondence setting is kept.
+  function setMorphPair(modelPath, targets) {
+    if (!targets || (Array.isArray(targets) && !targets.length)) {
+      delete MORPH_PAIRS[modelPath];
+      return;
+    }
+    const correspondence = MORPH_PAIRS[modelPath]?.correspondence ?? correspondenceMode;
+    MORPH_PAIRS[modelPath] = { targets, correspondence };
+  }
+
+  // Public setMorphTarget: null or '' removes the current model's target.
+  function setCurrentMorphTarget(pathOrChain) {
+    const modelPath = models[modelIndex];
+    if (!modelPath) return;
+    setMorphPair(modelPath, pathOrChain);
+    loadMorphTargetGeometry(resolveMorphTargetPath(modelPath));
+  }
+
+  function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types ?? []).includes('Files');
+  }
+
+  let fileDragDepth = 0;
+  if (fileDrop) {
+    addEventListener('dragenter', (e) => {
+      if (!isFileDrag(e)) return;
+      fileDragDepth++;
+      document.body.classList.add('file-drag');
+    }, { signal });
+    addEventListener('dragleave', (e) => {
+      if (!isFileDrag(e)) return;
+      fileDragDepth = Math.max(0, fileDragDepth - 1);
+      if (!fileDragDepth) document.body.classList.remove('file-drag');
+    }, { signal });
+    addEventListener('dragover', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }, { signal });
+    // Drops anywhere else than the morph-target zone add models
+    addEventListener('drop', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      fileDragDepth = 0;
+      document.body.classList.remove('file-drag');
+      addLocalModels(e.dataTransfer.files);
+    }, { signal });
+  }
+
+  // Initial model
+  if (models.length) loadModel(models[modelIndex]);
+  updateFog();
+
+  /* ---------------- Hotkeys to tune live ----------------
+     - / =  → density down/up
+     [ / ]  → point size down/up
+  ------------------------------------------------------- */
+  function handleTuningKey(e) {
+    if (!originalGeom && !lodOctree) return;
+
+    if (e.key === '-') {        // fewer points
+      setKeepRatio(keepRatio * 0.8);
+      console.log('[viewer] keepRatio ->', keepRatio.toFixed(3));
+    }
+    if (e.key === '=') {        // more points
+      setKeepRatio(keepRatio / 0.8);
+      console.log('[viewer] keepRatio ->', keepRatio.toFixed(3));
+    }
+    if (e.key === '[') {        // smaller points
+      setPointSize(pointSizePx * 0.9);
+      console.log('[viewer] pointSizePx ->', pointSizePx.toFixed(2));
+    }
+    if (e.key === ']') {        // bigger points
+      setPointSize(pointSizePx / 0.9);
+      console.log('[viewer] pointSizePx ->', pointSizePx.toFixed(2));
+    }
+
+    // Toggle wind sway
+    if (e.key === 't') {
+      const u = points?.material?.uniforms?.uWindEnabled;
+      if (u) {
+        u.value = u.value > 0.5 ? 0.0 : 1.0;
+        console.log('[viewer] wind sway ->', u.value > 0.5 ? 'on' : 'off');
+      }
+    }
+
+    // Toggle size attenuation (distance-based point sizing)
+    if (e.key === 'a') {
+      const u = points?.material?.uniforms?.uSizeAttenEnabled;
+      if (u) {
+        u.value = u.value > 0.5 ? 0.0 : 1.0;
+        console.log('[viewer] size attenuation ->', u.value > 0.5 ? 'on' : 'off');
+      }
+    }
+
+    // Toggle world-size points (projection-based pixel size from world units)
+    if (e.key === 'w') {
+      const u = points?.material?.uniforms;
+      if (u && u.uUseWorldSize) {
+        u.uUseWorldSize.value = u.uUseWorldSize.value > 0.5 ? 0.0 : 1.0;
+        // When enabling, choose world size to match current target pixel size at ref dist
+        if (u.uUseWorldSize.value > 0.5) {
+          const pxPerUnit = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+          const refDist = u.uSizeAttenRef.value || camera.position.distanceTo(controls.target);
+          u.uPxPerUnit.value = pxPerUnit;
+          u.uWorldSize.value = Math.max(1e-5, pointSizePx * refDist / pxPerUnit);
+        }
+        console.log('[viewer] world-size points ->', u.uUseWorldSize.value > 0.5 ? 'on' : 'off');
+      }
+    }
+
+    // (removed) static size toggle
+  }
+
+  /* ---------------- Animate (advance uTime) ---------------- */
+  let lastFrameTime = performance.now();
+  let frameId = 0;
+
+  function animate() {
+    frameId = requestAnimationFrame(animate);
+    const now = performance.now();
+    const dt = Math.min(0.1, (now - lastFrameTime) / 1000); // clamp after hidden tabs
+    lastFrameTime = now;
+    controls.update();
+    updateBackgroundTextPose();
+
+    if (morphTimeline.playing) {
+      applyTimelineState(morphTimeline.update(dt));
+      if (!morphTimeline.playing) pauseTimeline(); // a one-shot reached its end
+    }
+    const eased = morphController.update(dt);
+    if (eased !== morphAmount) applyMorphAmount(eased);
+
+    // drive the pulse time
+    if (points && points.material && points.material.uniforms) {
+      points.material.uniforms.uTime.value = performance.now() * 0.001; // seconds
+    }
+    lodOctree?.update(camera, viewHeight);
+
+    if (composer) composer.render(); else renderer.render(scene, camera);
+  }
+  animate();
+
+  /* ---------------- Resize ---------------- */
+  // Follows the window; containers that change size on their own call resize() themselves.
+  function resize() {
+    measureView();
+    camera.aspect = viewWidth / viewHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(viewWidth, viewHeight);
+    updatePostSizes();
+
+    // keep shader DPR in sync if devicePixelRatio changes
+    if (points && points.material && points.material.uniforms) {
+      points.material.uniforms.uDPR.value = Math.min(devicePixelRatio, 1.5);
+      // update pixels-per-unit for world-size sizing
+      points.material.uniforms.uPxPerUnit.value = viewHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov * 0.5)));
+    }
+    updateBackgroundTextScale();
+    updateBackgroundTextPose();
+    syncMorphToScroll();
+  }
+  addEventListener('resize', resize, { signal });
+
+  if (scrollMorph) {
+    addEventListener('scroll', syncMorphToScroll, { passive: true, signal });
+    addEventListener('scrollend', () => { snapScrollTop = null; }, { signal }); // snap scroll interrupted or clamped
+    scrollChoreography = ScrollChoreography.fromDocument(document, { onChange: applyChoreographyState });
+    syncMorphToScroll();
+  }
+
+  /* ---------------- Post FX Hotkeys ----------------
+     b: toggle bloom | n/m: bloom strength -/+
+     v: toggle vignette | g/h: darkness -/+
+     c: toggle brightness/contrast | ,/.: contrast -/+ | ;/': brightness -/+
+     y: toggle hue/saturation | u/j: saturation +/- | i/k: hue +/-
+     x: toggle FXAA
+  -------------------------------------------------- */
+  function handlePostFxKey(e) {
+    if (!composer) return;
+    const k = e.key;
+
+    // Bloom toggle/intensity
+    if (k === 'b') {
+      bloomPass.enabled = !bloomPass.enabled;
+      console.log('[post] bloom ->', bloomPass.enabled);
+    }
+    if (k === 'n') { // down
+      bloomPass.strength = Math.max(0.0, (bloomPass.strength ?? 0.6) - 0.05);
+      console.log('[post] bloom strength ->', bloomPass.strength.toFixed(2));
+    }
+    if (k === 'm') { // up
+      bloomPass.strength = Math.min(3.0, (bloomPass.strength ?? 0.6) + 0.05);
+      console.log('[post] bloom strength ->', bloomPass.strength.toFixed(2));
+    }
+
+    // Vignette toggle/darkness
+    if (k === 'v') {
+      vignettePass.enabled = !vignettePass.enabled;
+      console.log('[post] vignette ->', vignettePass.enabled);
+    }
+    if (k === 'g') { // darker -
+      const d = vignettePass.material.uniforms.darkness;
+      d.value = Math.max(0.0, d.value - 0.05);
+      console.log('[post] vignette darkness ->', d.value.toFixed(2));
+    }
+    if (k === 'h') { // darker +
+      const d = vignettePass.material.uniforms.darkness;
+      d.value = Math.min(2.0, d.value + 0.05);
+      console.log('[post] vignette darkness ->', d.value.toFixed(2));
+    }
+
+    // Brightness/Contrast toggle and adjust
+    if (k === 'c') {
+      bcPass.enabled = !bcPass.enabled;
+      console.log('[post] brightness/contrast ->', bcPass.enabled);
+    }
+    if (k === ',') { // contrast -
+      const u = bcPass.material.uniforms.contrast;
+      u.value = Math.max(-1.0, u.value - 0.05);
+      console.log('[post] contrast ->', u.value.toFixed(2));
+    }
+    if (k === '.') { // contrast +
+      const u = bcPass.material.uniforms.contrast;
+      u.value = Math.min(1.0, u.value + 0.05);
+      console.log('[post] contrast ->', u.value.toFixed(2));
+    }
+    if (k === ';') { // brightness -
+      const u = bcPass.material.uniforms.brightness;
+      u.value = Math.max(-1.0, u.value - 0.05);
+      console.log('[post] brightness ->', u.value.toFixed(2));
+    }
+    if (k === "'") { // brightness +
+      const u = bcPass.material.uniforms.brightness;
+      u.value = Math.min(1.0, u.value + 0.05);
+      console.log('[post] brightness ->', u.value.toFixed(2));
+    }
+
+    // Hue/Saturation toggle and adjust
+    if (k === 'y') {
+      hsPass.enabled = !hsPass.enabled;
+      console.log('[post] hue/saturation ->', hsPass.enabled);
+    }
+    if (k === 'u') { // saturation +
+      const uSat = hsPass.material.uniforms.saturation;
+      uSat.value = Math.min(1.0, uSat.value + 0.05);
+      console.log('[post] saturation ->', uSat.value.toFixed(2));
+    }
+    if (k === 'j') { // saturation -
+      const uSat = hsPass.material.uniforms.saturation;
+      uSat.value = Math.max(-1.0, uSat.value - 0.05);
+      console.log('[post] saturation ->', uSat.value.toFixed(2));
+    }
+    if (k === 'i') { // hue +
+      const uHue = hsPass.material.uniforms.hue;
+      uHue.value = Math.min(1.0, uHue.value + 0.02);
+      console.log('[post] hue ->', uHue.value.toFixed(2));
+    }
+    if (k === 'k') { // hue -
+      const uHue = hsPass.material.uniforms.hue;
+      uHue.value = Math.max(-1.0, uHue.value - 0.02);
+      console.log('[post] hue ->', uHue.value.toFixed(2));
+    }
+
+    // FXAA toggle
+    if (k === 'x') {
+      fxaaPass.enabled = !fxaaPass.enabled;
+      console.log('[post] FXAA ->', fxaaPass.enabled);
+    }
+  }
+
+  if (hotkeys) {
+    addEventListener('keydown', handleTuningKey, { signal });
+    addEventListener('keydown', handlePostFxKey, { signal });
+  }
+
+  // Initialize UI after the viewer's lets are initialized
+  if (ui) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', setupUI, { once: true, signal });
+    } else {
+      setupUI();
+    }
+  }
+
+  /* ---------------- Public API (see PointCloudViewer) ---------------- */
+  function setMorph(value, { smooth = false } = {}) {
+    if (smooth) setMorphTarget(value); else setMorphAmount(value);
+  }
+
+  function setGlow({ mode, boost, randomSpeed } = {}) {
+    if (mode !== undefined) glowMode = mode === 'random' ? 'random' : 'wave';
+    if (boost !== undefined) glowBoost = Math.max(0, Number(boost) || 0);
+    if (randomSpeed !== undefined) randomGlowSpeed = THREE.MathUtils.clamp(Number(randomSpeed) || 0, 0.1, 5);
+    const u = points?.material?.uniforms;
+    if (u) {
+      u.uGlowMode.value = glowMode === 'random' ? 1.0 : 0.0;
+      u.uGlowBoost.value = glowBoost;
+      u.uRandomGlowSpeed.value = randomGlowSpeed;
+    }
+    uiRefresh?.();
+  }
+
+  // fx: { bloom, vignette, edgeBlur, brightnessContrast, hueSaturation, fxaa, lut }. Each
+  // effect takes a boolean or its settings; settings without `enabled` switch it on:
+  //   { bloom: { strength: 1.2 }, vignette: false, lut: 'warm' | { preset, intensity } }
+  function setPostFX(fx = {}) {
+    const apply = (pass, value, uniformNames = {}) => {
+      if (value === undefined || !pass) return null;
+      const settings = value && typeof value === 'object' ? value : { enabled: !!value };
+      pass.enabled = settings.enabled ?? true;
+      for (const [key, name] of Object.entries(uniformNames)) {
+        if (settings[key] !== undefined) pass.material.uniforms[name].value = Number(settings[key]);
+      }
+      return settings;
+    };
+    const bloom = apply(bloomPass, fx.bloom);
+    for (const key of ['strength', 'radius', 'threshold']) {
+      if (bloom?.[key] !== undefined) bloomPass[key] = Math.max(0, Number(bloom[key]) || 0);
+    }
+    apply(vignettePass, fx.vignette, { darkness: 'darkness', offset: 'offset' });
+    apply(edgeBlurPass, fx.edgeBlur, { amount: 'maxRadius', falloff: 'falloff' });
+    apply(bcPass, fx.brightnessContrast, { brightness: 'brightness', contrast: 'contrast' });
+    apply(hsPass, fx.hueSaturation, { hue: 'hue', saturation: 'saturation' });
+    apply(fxaaPass, fx.fxaa);
+    if (fx.lut !== undefined) {
+      const lut = fx.lut && typeof fx.lut === 'object' ? fx.lut : { preset: fx.lut || 'none' };
+      if (lut.intensity !== undefined) lutIntensity = THREE.MathUtils.clamp(Number(lut.intensity) || 0, 0, 1);
+      if (lut.preset !== undefined) setLutPreset(lut.preset); else updateLutPass();
+    }
+    uiRefresh?.();
+  }
+
+  function setBackground(color) {
+    scene.background.set(color);
+    updateFog();
+    uiRefresh?.();
+  }
+
+  // Background label; `morph` also turns the text morph target on or off.
+  function setText(label, { color, morph } = {}) {
+    bgTextLabel = String(label ?? '');
+    if (color !== undefined) bgTextFill = color;
+    updateBackgroundTextTexture();
+    if (morph !== undefined) setTextMorphEnabled(morph); else scheduleTextMorphRebuild();
+    uiRefresh?.();
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    cancelAnimationFrame(frameId);
+    listeners.abort();
+    modelLoadToken++; // loads still in flight are dropped when they land
+    morphLoadToken++;
+    correspondenceJob++;
+    clearTimeout(textMorphRebuildTimer);
+    morphTimeline.pause();
+    scrollChoreography?.dispose();
+    disposeLodOctree();
+    modelWorker?.terminate();
+    correspondenceWorker?.terminate();
+    samplingWorker?.terminate();
+    if (points) {
+      points.geometry.dispose();
+      points.material.dispose();
+    }
+    if (bgTextMesh) {
+      bgTextMesh.geometry.dispose();
+      bgTextMesh.material.dispose();
+    }
+    bgTextTexture?.dispose();
+    for (const texture of lutLoadMap.values()) texture.dispose();
+    for (const url of localModelUrls.values()) URL.revokeObjectURL(url);
+    grid.geometry.dispose();
+    grid.material.dispose();
+    controls.dispose();
+    composer?.dispose();
+    renderer.dispose();
+    renderer.domElement.remove();
+  }
+
+  return {
+    renderer, scene, camera, controls,
+    get points() { return points; },
+    get composer() { return composer; },
+    get models() { return models.slice(); },
+    get morph() { return morphAmount; },
+    loadModel: showModel,
+    addFiles: addLocalModels,
+    setMorphTarget: setCurrentMorphTarget,
+    setMorph, setMorphEasing, setMorphPath, setMorphDelayMode, setMorphStagger, setMorphSnap,
+    setCorrespondenceMode, setResampleMode, setSamplingMode,
+    setDensity: setKeepRatio, setPointSize, setWheelMorph,
+    setGlow, setPostFX, setBackground, setText,
+    setTimeline, playTimeline, pauseTimeline, seekTimeline,
+    setScrollChoreography,
+    resize, dispose,
+  };
+}
+
+export class PointCloudViewer {
+  // options: {
+  //   models: ['a.ply', …]            cycle of model paths; the first loads right away
+  //   morphPairs: { 'a.ply': 'b.ply' } morph targets per model (see MORPH_PAIRS)
+  //   ui, scrollMorph, hotkeys, fileDrop: page-wide behaviour, all off by default
+  //   wheelMorph: the wheel over the canvas drives the morph (default: scrollMorph)
+  // }
+  constructor(container = document.body, options = {}) {
+    this.container = container;
+    this.viewer = createViewer(container, options);
+  }
+
+  get renderer() { return this.viewer.renderer; }
+  get scene() { return this.viewer.scene; }
+  get camera() { return this.viewer.camera; }
+  get controls() { return this.viewer.controls; }
+  get points() { return this.viewer.points; }
+  get models() { return this.viewer.models; }
+  get morph() { return this.viewer.morph; }
+
+  // Shows a model path (any supported format, or '<name>.lod'); resolves once it is drawn.
+  // { morphTarget } sets (or, with null, removes) its morph target before loading.
+  loadModel(path, options) { return this.viewer.loadModel(path, options); }
+  // Local File objects (file input, drag and drop); the first one is shown.
+  addFiles(files) { this.viewer.addFiles(files); }
+  // Morph target of the current model: a path, an ordered keyframe chain or 'svg:<path data>';
+  // null removes it.
+  setMorphTarget(pathOrChain) { this.viewer.setMorphTarget(pathOrChain); }
+
+  // 0..1 across the keyframe chain; smooth eases there with the damping/easing settings.
+  setMorph(value, options) { this.viewer.setMorph(value, options); }
+  setMorphEasing(easing, bezier) { this.viewer.setMorphEasing(easing, bezier); }
+  setMorphPath(options) { this.viewer.setMorphPath(options); }
+  setMorphDelay(mode, stagger) {
+    this.viewer.setMorphDelayMode(mode);
+    if (stagger !== undefined) this.viewer.setMorphStagger(stagger);
+  }
+  setMorphSnap(mode, points) { this.viewer.setMorphSnap(mode, points); }
+  setCorrespondence(mode) { this.viewer.setCorrespondenceMode(mode); }
+  setResampleMode(mode) { this.viewer.setResampleMode(mode); }
+  setSamplingMode(mode) { this.viewer.setSamplingMode(mode); }
+
+  setDensity(ratio) { this.viewer.setDensity(ratio); }
+  setPointSize(px) { this.viewer.setPointSize(px); }
+  // Let the mouse wheel over the canvas drive the morph (embedded viewers leave it to the page).
+  setWheelMorph(enabled) { this.viewer.setWheelMorph(enabled); }
+  // { mode: 'wave' | 'random', boost, randomSpeed }
+  setGlow(options) { this.viewer.setGlow(options); }
+  // { bloom, vignette, edgeBlur, brightnessContrast, hueSaturation, fxaa, lut }
+  setPostFX(options) { this.viewer.setPostFX(options); }
+  setBackground(color) { this.viewer.setBackground(color); }
+  setText(label, options) { this.viewer.setText(label, options); }
+
+  // Autoplay (see js/morph-timeline.js): { tracks, duration, mode, speed, cycleModels }
+  setTimeline(options) { this.viewer.setTimeline(options); }
+  play(options) { this.viewer.playTimeline(options); }
+  pause() { this.viewer.pauseTimeline(); }
+  seek(seconds) { this.viewer.seekTimeline(seconds); }
+
+  // Page sections driving the viewer (see js/scroll-choreography.js); null to stop.
+  setScrollChoreography(sections) { this.viewer.setScrollChoreography(sections); }
+
+  // Re-measure the container, e.g. from a ResizeObserver.
+  resize() { this.viewer.resize(); }
+
+  // Stops rendering, releases GPU resources and workers and removes the canvas.
+  dispose() { this.viewer.dispose(); }
+}
@@ -0,0 +1,102 @@
+// resample.js
+// Brings a keyframe sample up to the point count of the richest keyframe, so a dense
+// model can morph into a sparse one without being thinned down to it:
+//
+//   min       (no padding) every keyframe is cut to the smallest count instead
+//   jitter    extra points duplicate random source points, nudged by ~half the spacing
+//   nearest   extra points spawn between a source point and its nearest neighbour
+//   collapse  extra points sit exactly on a source point (surplus merges into its partner)
+//   fade      like collapse, but extra points are marked invisible (`visibility` = 0)
+//
+// Samples are { count, positions, colors | null, visibility? } with xyz/rgb triplets.
+
+export const RESAMPLE_MODES = ['min', 'jitter', 'nearest', 'collapse', 'fade'];
+
+// Mean spacing if the points filled their bounding box evenly
+function typicalSpacing(positions, count) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i++) {
+    for (let a = 0; a < 3; a++) {
+      const v = positions[i * 3 + a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+  }
+  const size = [0, 1, 2].map((a) => Math.max(max[a] - min[a], 1e-6));
+  return { min, size, spacing: Math.cbrt(size[0] * size[1] * size[2] / Math.max(1, count)) };
+}
+
+// Uniform grid over the source points; nearest(i) searches the 27 surrounding cells
+// and widens the ring until something turns up.
+function nearestNeighbourIndex(positions, count) {
+  const { min, size, spacing } = typicalSpacing(positions, count);
+  const cellSize = spacing * 2;
+  // Ring searches reach 4 cells past the edges; the margin keeps those keys collision-free
+  const ny = Math.ceil(size[1] / cellSize) + 10, nz = Math.ceil(size[2] / cellSize) + 10;
+  const key = (x, y, z) => ((x + 5) * ny + y + 5) * nz + z + 5;
+  const cellOf = (i, a) => Math.floor((positions[i * 3 + a] - min[a]) / cellSize);
+  const cells = new Map();
+  for (let i = 0; i < count; i++) {
+    const k = key(cellOf(i, 0), cellOf(i, 1), cellOf(i, 2));
+    const cell = cells.get(k);
+    if (cell) cell.push(i); else cells.set(k, [i]);
+  }
+  return (i) => {
+    const cx = cellOf(i, 0), cy = cellOf(i, 1), cz = cellOf(i, 2);
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    let best = -1, bestD = Infinity;
+    for (let r = 1; r <= 4 && best < 0; r++) {
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          for (let dz = -r; dz <= r; dz++) {
+            const cell = cells.get(key(cx + dx, cy + dy, cz + dz));
+            if (!cell) continue;
+            for (const k of cell) {
+              if (k === i) continue;
+              const ex = positions[k * 3] - x, ey = positions[k * 3 + 1] - y, ez = positions[k * 3 + 2] - z;
+              const d = ex * ex + ey * ey + ez * ez;
+              if (d < bestD) { bestD = d; best = k; }
+            }
+          }
+        }
+      }
+    }
+    return best < 0 ? i : best;
+  };
+}
+
+// Pads `sample` to targetCount with `mode`; rand is a seeded [0, 1) generator.
+export function padSample(sample, targetCount, mode, rand) {
+  const { count } = sample;
+  if (mode === 'min' || count >= targetCount || !count) return sample;
+
+  const positions = new Float32Array(targetCount * 3);
+  const colors = sample.colors ? new Float32Array(targetCount * 3) : null;
+  positions.set(sample.positions.subarray(0, count * 3));
+  if (colors) colors.set(sample.colors.subarray(0, count * 3));
+  let visibility = null;
+  if (mode === 'fade' || sample.visibility) {
+    visibility = new Float32Array(targetCount);
+    if (sample.visibility) visibility.set(sample.visibility.subarray(0, count));
+    else visibility.fill(1, 0, count);
+  }
+
+  const src = sample.positions;
+  const jitter = mode === 'jitter' ? typicalSpacing(src, count).spacing * 0.5 : 0;
+  const nearest = mode === 'nearest' ? nearestNeighbourIndex(src, count) : null;
+
+  for (let j = count; j < targetCount; j++) {
+    // Random source point, so the extra density spreads evenly over the model
+    const i = Math.floor(rand() * count);
+    const t = nearest ? rand() : 0;
+    const n = nearest ? nearest(i) : i;
+    for (let a = 0; a < 3; a++) {
+      const p = src[i * 3 + a];
+      positions[j * 3 + a] = p + (src[n * 3 + a] - p) * t + (rand() - 0.5) * 2 * jitter;
+      if (colors) colors[j * 3 + a] = sample.colors[i * 3 + a];
+    }
+    if (visibility) visibility[j] = mode === 'fade' ? 0 : visibility[i];
+  }
+
+  return { count: targetCount, positions, colors, visibility };
+}
@@ -0,0 +1,18 @@
+// sampling-worker.js
+// Computes the voxel and poisson density orders (js/sampling.js) off the main thread:
+// they take seconds on multi-million point clouds.
+//
+// in:  { id, positions, count, mode, seed }   (Float32Array xyz)
+// out: { id, order } (Uint32Array permutation), or { id, error }
+
+import { computeSampleOrder, mulberry32 } from './sampling.js';
+
+self.onmessage = (e) => {
+  const { id, positions, count, mode, seed } = e.data;
+  try {
+    const order = computeSampleOrder(positions, count, mode, mulberry32(seed));
+    self.postMessage({ id, order }, [order.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,181 @@
+// sampling.js
+// Point orderings for progressive density. Buffers are uploaded once in one of these
+// orders and the draw range shows a prefix, so every prefix has to be a fair thinning.
+//
+//   stride   file order, evenly thinned (bit-reversed index: any prefix is a near-regular stride)
+//   random   seeded shuffle
+//   voxel    coarse-to-fine octree: one point per occupied cell, level by level
+//   poisson  coarse-to-fine dart throwing: minimum spacing halves each level
+//
+// Within a level points follow the shuffle, so a partially shown level is still uniform.
+
+export const SAMPLING_MODES = ['stride', 'random', 'voxel', 'poisson'];
+// Seconds per million points, so the viewer runs these in js/sampling-worker.js
+export const WORKER_SAMPLING_MODES = ['voxel', 'poisson'];
+
+const LEVEL_BITS = 10; // per axis → 30-bit Morton keys, 10 octree levels
+
+// Small deterministic PRNG, so the same cloud always gets the same order.
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function strideOrder(count) {
+  let bits = 0;
+  while ((1 << bits) < count) bits++;
+  const order = new Uint32Array(count);
+  for (let i = 0, n = 0; n < count; i++) {
+    let r = 0;
+    for (let b = 0, v = i; b < bits; b++, v >>= 1) r = (r << 1) | (v & 1);
+    if (r < count) order[n++] = r;
+  }
+  return order;
+}
+
+function randomOrder(count, rand) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    const t = order[i]; order[i] = order[j]; order[j] = t;
+  }
+  return order;
+}
+
+// Quantized coordinates, Morton keys, and indices sorted by key (shuffle order within a cell).
+function mortonSort(positions, count, shuffled) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+  const extent = Math.max(maxX - minX, maxY - minY, maxZ - minZ) || 1;
+  const maxCell = (1 << LEVEL_BITS) - 1;
+  const s = (maxCell + 1) / extent;
+
+  const q = new Uint16Array(count * 3);
+  const keys = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const qx = Math.min(maxCell, Math.floor((positions[i * 3] - minX) * s));
+    const qy = Math.min(maxCell, Math.floor((positions[i * 3 + 1] - minY) * s));
+    const qz = Math.min(maxCell, Math.floor((positions[i * 3 + 2] - minZ) * s));
+    q[i * 3] = qx; q[i * 3 + 1] = qy; q[i * 3 + 2] = qz;
+    let key = 0;
+    for (let b = LEVEL_BITS - 1; b >= 0; b--) {
+      key = key * 8 + ((qx >> b) & 1) * 4 + ((qy >> b) & 1) * 2 + ((qz >> b) & 1);
+    }
+    keys[i] = key;
+  }
+
+  // key * count + rank stays below 2^53 and sorts without a comparator
+  const composite = new Float64Array(count);
+  for (let rank = 0; rank < count; rank++) composite[rank] = keys[shuffled[rank]] * count + rank;
+  composite.sort();
+  const sorted = new Uint32Array(count);
+  for (let j = 0; j < count; j++) sorted[j] = shuffled[composite[j] % count];
+
+  return { q, keys, sorted, extent };
+}
+
+// Stable counting sort of the shuffle by level.
+function orderByLevel(shuffled, level, levelCount) {
+  const start = new Uint32Array(levelCount + 1);
+  for (let i = 0; i < shuffled.length; i++) start[level[i] + 1]++;
+  for (let l = 0; l < levelCount; l++) start[l + 1] += start[l];
+  const order = new Uint32Array(shuffled.length);
+  for (const i of shuffled) order[start[level[i]]++] = i;
+  return order;
+}
+
+// Level of a point = first octree level where it is the first point of its cell.
+function voxelOrder(positions, count, rand) {
+  const shuffled = randomOrder(count, rand);
+  const { keys, sorted } = mortonSort(positions, count, shuffled);
+  const level = new Uint8Array(count);
+  for (let j = 1; j < count; j++) {
+    const diff = keys[sorted[j]] ^ keys[sorted[j - 1]];
+    // Highest differing bit → level whose 3 bits it belongs to; duplicates go last
+    level[sorted[j]] = diff ? Math.floor((3 * LEVEL_BITS - 1 - (31 - Math.clz32(diff))) / 3) + 1 : LEVEL_BITS + 1;
+  }
+  return orderByLevel(shuffled, level, LEVEL_BITS + 2);
+}
+
+// Per level, one candidate per occupied cell (cell side = spacing) is accepted when no
+// earlier point lies closer than the spacing. Points never accepted go last.
+function poissonOrder(positions, count, rand) {
+  const shuffled = randomOrder(count, rand);
+  const { q, keys, sorted, extent } = mortonSort(positions, count, shuffled);
+  const pending = LEVEL_BITS + 1;
+  const level = new Uint8Array(count).fill(pending);
+  const accepted = [];
+
+  for (let l = 1; l <= LEVEL_BITS; l++) {
+    const shift = LEVEL_BITS - l;
+    const r = extent / (1 << l);
+    const r2 = r * r;
+    const grid = new Map();
+    const cellId = (cx, cy, cz) => ((cx + 1) * 1026 + cy + 1) * 1026 + cz + 1; // -1 … 1024 per axis
+    const insert = (i) => {
+      const id = cellId(q[i * 3] >> shift, q[i * 3 + 1] >> shift, q[i * 3 + 2] >> shift);
+      const cell = grid.get(id);
+      if (cell) cell.push(i);
+      else grid.set(id, [i]);
+    };
+    const isFar = (i) => {
+      const cx = q[i * 3] >> shift, cy = q[i * 3 + 1] >> shift, cz = q[i * 3 + 2] >> shift;
+      const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const cell = grid.get(cellId(cx + dx, cy + dy, cz + dz));
+            if (!cell) continue;
+            for (const k of cell) {
+              const ex = positions[k * 3] - x, ey = positions[k * 3 + 1] - y, ez = positions[k * 3 + 2] - z;
+              if (ex * ex + ey * ey + ez * ez < r2) return false;
+            }
+          }
+        }
+      }
+      return true;
+    };
+    for (const i of accepted) insert(i);
+
+    let prevCell = -1, tried = false;
+    for (let j = 0; j < count; j++) {
+      const i = sorted[j];
+      const cell = keys[i] >>> (3 * shift);
+      if (cell !== prevCell) {
+        prevCell = cell;
+        tried = false;
+      }
+      if (tried || level[i] !== pending) continue;
+      tried = true;
+      if (isFar(i)) {
+        level[i] = l;
+        accepted.push(i);
+        insert(i);
+      }
+    }
+  }
+  return orderByLevel(shuffled, level, pending + 1);
+}
+
+// Permutation of 0..count-1 for `mode`; rand is a seeded [0, 1) generator.
+export function computeSampleOrder(positions, count, mode, rand) {
+  switch (mode) {
+    case 'stride': return strideOrder(count);
+    case 'voxel': return voxelOrder(positions, count, rand);
+    case 'poisson': return poissonOrder(positions, count, rand);
+    default: return randomOrder(count, rand);
+  }
+}
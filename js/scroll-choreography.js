@@ -0,0 +1,145 @@
+// scroll-choreography.js
+// Lets page sections drive the viewer instead of the whole document height. Each section
+// owns a stretch of scroll: while it crosses the middle of the viewport its channels ramp
+// from their first to their second value; a pinned section holds one state throughout.
+//
+//   <section data-morph-range="0 0.5" data-glow="1 2.5">…</section>      ramp
+//   <section data-morph-range="0.5" data-bg-text="ROOTS">…</section>     pinned (one value)
+//   <section data-morph-range="0.5 1" data-pin>…</section>               pinned at the end value
+//   <section data-camera-distance="1 0.6" data-camera-orbit="0 90">…</section>
+//
+// Channels: morph (raw 0..1 progress), glow (shader glow boost), cameraDistance (× the
+// framing distance), cameraOrbit (yaw in degrees around the model) and bgText (label,
+// switched when the section becomes active). The same sections can be passed from JS:
+//   { element, morph: [0, 0.5], glow: [1, 2], pin: false, bgText: 'ROOTS' }
+//
+// IntersectionObserver tracks which sections cross the viewport's middle line; only
+// those are measured on scroll. Between sections the last passed section's end state
+// holds (or the first section's start state above all of them).
+
+export const CHOREOGRAPHY_CHANNELS = ['morph', 'glow', 'cameraDistance', 'cameraOrbit'];
+
+const DATA_ATTRIBUTES = {
+  morph: 'morphRange',
+  glow: 'glow',
+  cameraDistance: 'cameraDistance',
+  cameraOrbit: 'cameraOrbit',
+};
+
+function parseRange(text) {
+  const values = String(text ?? '').split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+  return values.length ? [values[0], values[1] ?? values[0]] : null;
+}
+
+// Section description from data-* attributes, or null when it drives nothing
+export function parseSection(element) {
+  const section = { element, pin: element.hasAttribute('data-pin') };
+  let used = false;
+  for (const channel of CHOREOGRAPHY_CHANNELS) {
+    const range = parseRange(element.dataset[DATA_ATTRIBUTES[channel]]);
+    if (range) {
+      section[channel] = range;
+      used = true;
+    }
+  }
+  if (element.dataset.bgText !== undefined) {
+    section.bgText = element.dataset.bgText;
+    used = true;
+  }
+  return used ? section : null;
+}
+
+export class ScrollChoreography {
+  // sections: [{ element, pin?, morph?, glow?, cameraDistance?, cameraOrbit?, bgText? }]
+  // onChange(state) receives only the channels the sections define.
+  constructor(sections, { onChange = null } = {}) {
+    // Single values become [v, v]
+    const toRange = (v) => (Array.isArray(v) ? [v[0], v[1] ?? v[0]] : [v, v]);
+    this.sections = sections.map((s) => {
+      const section = { ...s };
+      for (const channel of CHOREOGRAPHY_CHANNELS) {
+        if (s[channel] !== undefined) section[channel] = toRange(s[channel]);
+      }
+      return section;
+    });
+    this.onChange = onChange;
+    this.active = new Set();
+    this.observer = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+      // A one-pixel band at the viewport's middle: "intersecting" = section spans the middle
+      this.observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          const section = this.sections.find((s) => s.element === entry.target);
+          if (entry.isIntersecting) this.active.add(section); else this.active.delete(section);
+        }
+        this.update();
+      }, { rootMargin: '-50% 0px -50% 0px' });
+      for (const s of this.sections) this.observer.observe(s.element);
+    }
+  }
+
+  static fromDocument(root = document, options) {
+    const sections = Array.from(root.querySelectorAll('[data-morph-range], [data-glow], [data-camera-distance], [data-camera-orbit], [data-bg-text]'))
+      .map(parseSection)
+      .filter(Boolean);
+    return sections.length ? new ScrollChoreography(sections, options) : null;
+  }
+
+  // Progress of a section through the viewport's middle line, 0..1
+  static progress(section) {
+    const rect = section.element.getBoundingClientRect();
+    const middle = window.innerHeight * 0.5;
+    return Math.min(1, Math.max(0, (middle - rect.top) / Math.max(1, rect.height)));
+  }
+
+  // Current state for every channel any section defines.
+  evaluate() {
+    const middle = window.innerHeight * 0.5;
+    let section = null, t = 0;
+    const active = this.sections.filter((s) => this.active.has(s));
+    if (active.length) {
+      section = active[active.length - 1];
+      t = ScrollChoreography.progress(section);
+    } else {
+      // Between sections: hold the last one above the middle line at its end state
+      for (const s of this.sections) {
+        if (s.element.getBoundingClientRect().bottom <= middle) section = s;
+      }
+      if (section) t = 1;
+      else section = this.sections[0];
+    }
+
+    const state = {};
+    const index = this.sections.indexOf(section);
+    for (const channel of CHOREOGRAPHY_CHANNELS) {
+      // A section without this channel inherits the nearest earlier value
+      let owner = null;
+      for (let i = index; i >= 0 && !owner; i--) if (this.sections[i][channel]) owner = this.sections[i];
+      if (!owner) {
+        owner = this.sections.find((s) => s[channel]);
+        if (owner) state[channel] = owner[channel][0];
+        continue;
+      }
+      const [from, to] = owner[channel];
+      state[channel] = owner === section ? from + (to - from) * (section.pin ? 1 : t) : to;
+    }
+    for (let i = index; i >= 0; i--) {
+      if (this.sections[i].bgText !== undefined) {
+        state.bgText = this.sections[i].bgText;
+        break;
+      }
+    }
+    return state;
+  }
+
+  update() {
+    const state = this.evaluate();
+    this.onChange?.(state);
+    return state;
+  }
+
+  dispose() {
+    this.observer?.disconnect();
+    this.active.clear();
+  }
+}
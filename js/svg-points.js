@@ -0,0 +1,125 @@
+// svg-points.js
+// Samples an SVG document (or a bare path string like 'M0 0 L100 0 …') into a point
+// cloud for morph targets: fills are covered uniformly by area and strokes evenly by
+// length across their width, so both keep crisp vector edges at any point count. Colors
+// come from the fill/stroke style (linear, like PLYLoader); depth extrudes along z.
+//
+// The drawing is centered, flipped to y-up and scaled to the extent
+// prepareGeometryForView() gives models.
+
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { VIEW_EXTENT, shufflePoints } from './formats/cloud.js';
+import { areaTable, sampleMeshSurface } from './mesh-sampler.js';
+
+export const DEFAULT_SVG_POINT_OPTIONS = {
+  depth: 0.1,          // extrusion thickness (world units); 0 = flat
+  minStrokeWidth: 1,   // SVG units; hairline strokes still get a visible band
+};
+
+const svgLoader = new SVGLoader();
+const _point = new THREE.Vector2(), _tangent = new THREE.Vector2();
+
+// Bare path data gets a minimal document with a white fill
+function toSvgDocument(source) {
+  const text = source.trim();
+  if (text.startsWith('<')) return text;
+  const d = text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  return `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}" fill="#ffffff" /></svg>`;
+}
+
+const isPainted = (paint) => !!paint && paint !== 'none' && paint !== 'transparent';
+
+// Fill meshes and stroke polylines, each weighted by the area it covers
+function collectParts(paths, minStrokeWidth) {
+  const parts = [];
+  for (const path of paths) {
+    const style = path.userData?.style ?? {};
+    if (isPainted(style.fill) && (style.fillOpacity ?? 1) > 0) {
+      const geometry = new THREE.ShapeGeometry(SVGLoader.createShapes(path));
+      const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: path.color }));
+      const table = areaTable(mesh);
+      if (table.total > 0) parts.push({ type: 'fill', mesh, table, weight: table.total });
+      else geometry.dispose();
+    }
+    if (isPainted(style.stroke) && (style.strokeOpacity ?? 1) > 0) {
+      const color = new THREE.Color().setStyle(style.stroke);
+      const width = Math.max(minStrokeWidth, style.strokeWidth ?? 1);
+      for (const subPath of path.subPaths) {
+        const length = subPath.getLength();
+        if (length > 0) parts.push({ type: 'stroke', subPath, color, width, length, weight: length * width });
+      }
+    }
+  }
+  return parts;
+}
+
+// Stratified along the arc length, spread across the stroke width
+function sampleStroke({ subPath, color, width }, count, rand) {
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const u = Math.min(1, (i + rand()) / count);
+    subPath.getPointAt(u, _point);
+    subPath.getTangentAt(u, _tangent);
+    const offset = (rand() - 0.5) * width;
+    positions[i * 3] = _point.x - _tangent.y * offset;
+    positions[i * 3 + 1] = _point.y + _tangent.x * offset;
+    color.toArray(colors, i * 3);
+  }
+  return { positions, colors };
+}
+
+// targetCount is the approximate number of points; matching the base model's count keeps
+// both keyframes thinned by the same fraction.
+export function svgToPointGeometry(source, targetCount, options = {}, rand = Math.random) {
+  const opts = { ...DEFAULT_SVG_POINT_OPTIONS, ...options };
+  const { paths } = svgLoader.parse(toSvgDocument(source));
+  const parts = collectParts(paths, opts.minStrokeWidth);
+  const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+  if (!totalWeight) return null;
+
+  const samples = [];
+  let count = 0;
+  for (const part of parts) {
+    const n = Math.round(Math.max(1, targetCount) * part.weight / totalWeight);
+    if (!n) continue;
+    const sample = part.type === 'fill' ? sampleMeshSurface(part.mesh, n, rand, part.table) : sampleStroke(part, n, rand);
+    samples.push(sample);
+    count += sample.positions.length / 3;
+    if (part.mesh) part.mesh.geometry.dispose();
+  }
+
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  let offset = 0;
+  for (const sample of samples) {
+    positions.set(sample.positions, offset);
+    colors.set(sample.colors, offset);
+    offset += sample.positions.length;
+  }
+
+  // SVG is y-down: flip, center, scale the longest side to VIEW_EXTENT, extrude in z
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+  }
+  const scale = VIEW_EXTENT / (Math.max(maxX - minX, maxY - minY) || 1);
+  const cx = (minX + maxX) * 0.5, cy = (minY + maxY) * 0.5;
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = (positions[i * 3] - cx) * scale;
+    positions[i * 3 + 1] = (cy - positions[i * 3 + 1]) * scale;
+    positions[i * 3 + 2] = (rand() - 0.5) * opts.depth;
+  }
+
+  shufflePoints(positions, colors, rand);
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geom.computeBoundingBox();
+  geom.computeBoundingSphere();
+  return geom;
+}
@@ -0,0 +1,140 @@
+import {
+	Loader
+} from 'three';
+import { XYZParser } from './formats/xyz.js';
+import { cloudToGeometry } from './cloud-geometry.js';
+
+/**
+ * XYZLoader: streams plain-text point lists (XYZ, PTS, CSV/TXT) into a BufferGeometry
+ * with `position`, optional `color` (linear RGB) and optional `intensity` (0..1).
+ *
+ *   - delimiter: auto-detected from the first line (tab, comma, semicolon, whitespace)
+ *                unless set with setDelimiter()
+ *   - columns:   taken from a header row when present (x/y/z, r/g/b or red/green/blue,
+ *                i/intensity), else guessed from the column count (PTS: x y z i r g b);
+ *                setColumns() overrides both
+ *   - colors:    0–255 or 0–1 is detected from the largest channel value seen
+ *   - PTS:       a lone leading point-count line is skipped
+ *
+ * Positions are stored relative to the first point (geometry.userData.origin) so large
+ * survey coordinates survive the trip to Float32. Parsing lives in js/formats/xyz.js so
+ * the model worker can share it.
+ *
+ * Usage:
+ *	const loader = new XYZLoader();
+ *	loader.setColumns( { x: 0, y: 2, z: 1, r: 3, g: 4, b: 5 } );
+ *	loader.load( 'point/scan.pts', ( geometry ) => { ... } );
+ */
+
+class XYZLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.columns = null;
+		this.delimiter = null;
+
+	}
+
+	// { x, y, z, r?, g?, b?, intensity? } → zero-based column indices
+	setColumns( columns ) {
+
+		this.columns = columns;
+		return this;
+
+	}
+
+	// ',', ';', '\t', or null for auto-detect / whitespace
+	setDelimiter( delimiter ) {
+
+		this.delimiter = delimiter;
+		return this;
+
+	}
+
+	createParser() {
+
+		return new XYZParser( { columns: this.columns, delimiter: this.delimiter } );
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+		const fullUrl = this.manager.resolveURL( ( this.path || '' ) + url );
+
+		this.manager.itemStart( url );
+
+		this.stream( fullUrl, onProgress ).then( function ( geometry ) {
+
+			onLoad( geometry );
+			scope.manager.itemEnd( url );
+
+		} ).catch( function ( e ) {
+
+			if ( onError ) {
+
+				onError( e );
+
+			} else {
+
+				console.error( e );
+
+			}
+
+			scope.manager.itemError( url );
+			scope.manager.itemEnd( url );
+
+		} );
+
+	}
+
+	async stream( url, onProgress ) {
+
+		const response = await fetch( url, {
+			headers: this.requestHeader,
+			credentials: this.withCredentials ? 'include' : 'same-origin',
+		} );
+		if ( ! response.ok ) throw new Error( `THREE.XYZLoader: ${response.status} ${response.statusText} for ${url}` );
+
+		const parser = this.createParser();
+		const total = Number( response.headers.get( 'Content-Length' ) ) || 0;
+
+		if ( ! response.body ) {
+
+			parser.push( await response.text() );
+			return cloudToGeometry( parser.finish() );
+
+		}
+
+		// Parse while downloading; only the current chunk and the growing arrays stay in memory
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		let loaded = 0;
+		for ( ;; ) {
+
+			const { done, value } = await reader.read();
+			if ( done ) break;
+			loaded += value.byteLength;
+			parser.push( decoder.decode( value, { stream: true } ) );
+			if ( onProgress ) onProgress( { loaded, total, lengthComputable: total > 0 } );
+
+		}
+
+		parser.push( decoder.decode() );
+		return cloudToGeometry( parser.finish() );
+
+	}
+
+	parse( text ) {
+
+		const parser = this.createParser();
+		parser.push( text );
+		return cloudToGeometry( parser.finish() );
+
+	}
+
+}
+
+export { XYZLoader };
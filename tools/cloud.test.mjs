@@ -0,0 +1,88 @@
+// cloud.test.mjs
+// Shared cloud helpers (js/formats/cloud.js) the parsers and the model worker rely on.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GrowableFloat32Array, VIEW_EXTENT, VIEW_ROTATION_Y_DEG,
+  cloudTransferables, createCloud, decimateCloud, linearToSrgb, normalizePositions, shufflePoints, srgbToLinear,
+} from '../js/formats/cloud.js';
+import { mulberry32 } from '../js/sampling.js';
+
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-5, `${label}: ${actual} vs ${expected}`);
+
+test('sRGB conversions round-trip and keep the endpoints', () => {
+  assert.equal(srgbToLinear(0), 0);
+  near(srgbToLinear(1), 1, 'white');
+  near(srgbToLinear(0.5), 0.214041, 'mid grey');
+  for (const c of [0, 0.02, 0.3, 0.75, 1]) near(linearToSrgb(srgbToLinear(c)), c, `round trip ${c}`);
+});
+
+test('GrowableFloat32Array grows past its initial capacity', () => {
+  const growable = new GrowableFloat32Array(2);
+  for (let i = 0; i < 10; i++) growable.push(i);
+  assert.deepEqual(Array.from(growable.toArray()), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+});
+
+test('normalizePositions centers, scales the largest side and applies the view yaw', () => {
+  const positions = Float32Array.from([10, 0, 0, 14, 1, 0, 12, 0.5, 0.5]);
+  normalizePositions(positions);
+  // Undo the yaw to check center and scale
+  const a = VIEW_ROTATION_Y_DEG * Math.PI / 180;
+  const unrotated = [];
+  for (let i = 0; i < 9; i += 3) {
+    const x = positions[i], z = positions[i + 2];
+    unrotated.push(x * Math.cos(a) - z * Math.sin(a), positions[i + 1], x * Math.sin(a) + z * Math.cos(a));
+  }
+  const s = VIEW_EXTENT / 4;
+  const expected = [-2 * s, -0.5 * s, -0.25 * s, 2 * s, 0.5 * s, -0.25 * s, 0, 0, 0.25 * s];
+  unrotated.forEach((v, i) => near(v, expected[i], `position ${i}`));
+  assert.equal(normalizePositions(new Float32Array(0)).length, 0);
+});
+
+test('shufflePoints keeps xyz and rgb triplets together', () => {
+  const count = 100;
+  const positions = Float32Array.from({ length: count * 3 }, (_, i) => Math.floor(i / 3) * 10 + (i % 3));
+  const colors = Float32Array.from(positions, (v) => v + 0.5);
+  shufflePoints(positions, colors, mulberry32(1));
+  const seen = new Set();
+  for (let i = 0; i < count; i++) {
+    const id = positions[i * 3] / 10;
+    assert.deepEqual(Array.from(positions.subarray(i * 3, i * 3 + 3)), [id * 10, id * 10 + 1, id * 10 + 2]);
+    assert.equal(colors[i * 3], positions[i * 3] + 0.5);
+    seen.add(id);
+  }
+  assert.equal(seen.size, count);
+  assert.notEqual(positions[0], 0);
+});
+
+test('decimateCloud strides every per-point array and records the source count', () => {
+  const count = 10;
+  const cloud = createCloud(
+    Float32Array.from({ length: count * 3 }, (_, i) => i),
+    Float32Array.from({ length: count * 3 }, (_, i) => i / 30),
+    { intensity: { array: Uint16Array.from({ length: count }, (_, i) => i * 100), itemSize: 1, normalized: true } },
+    { format: 'test' },
+  );
+  const small = decimateCloud(cloud, 4);
+  assert.equal(small.count, 4);
+  // Points 0, 2, 5, 7 (floor of i × 2.5)
+  assert.deepEqual(Array.from(small.positions), [0, 1, 2, 6, 7, 8, 15, 16, 17, 21, 22, 23]);
+  assert.equal(small.colors.length, 12);
+  assert.ok(small.attributes.intensity.array instanceof Uint16Array);
+  assert.deepEqual(Array.from(small.attributes.intensity.array), [0, 200, 500, 700]);
+  assert.equal(small.attributes.intensity.normalized, true);
+  assert.deepEqual(small.userData, { format: 'test', sourceCount: 10 });
+  // Decimating again keeps the original count
+  assert.equal(decimateCloud(small, 2).userData.sourceCount, 10);
+
+  assert.equal(decimateCloud(cloud, 20), cloud);
+  assert.equal(decimateCloud(cloud, 0), cloud);
+});
+
+test('cloudTransferables lists each buffer once', () => {
+  const positions = new Float32Array(6);
+  const shared = new Float32Array(positions.buffer);
+  const cloud = createCloud(positions, new Float32Array(6), { a: { array: shared, itemSize: 3 } });
+  assert.deepEqual(cloudTransferables(cloud), [positions.buffer, cloud.colors.buffer]);
+});
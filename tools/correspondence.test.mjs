@@ -0,0 +1,116 @@
+// correspondence.test.mjs
+// Keyframe point pairing (js/correspondence.js): every mode is a permutation of the next
+// keyframe, moves points less than file order does, and leaves borrowed colors alone.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { correspond, matchByCurve, matchNearest, matchTransport } from '../js/correspondence.js';
+import { mulberry32 } from '../js/sampling.js';
+
+const COUNT = 2000;
+
+function randomCloud(count, seed, offset = 0) {
+  const rand = mulberry32(seed);
+  return Float32Array.from({ length: count * 3 }, () => rand() * 4 - 2 + offset);
+}
+
+function assertPermutation(perm, count, label) {
+  assert.equal(perm.length, count, `${label} length`);
+  const seen = new Uint8Array(count);
+  for (const j of perm) {
+    assert.ok(j < count && !seen[j], `${label}: index ${j} repeated or out of range`);
+    seen[j] = 1;
+  }
+}
+
+// Summed squared travel distance when a[i] morphs into b[perm[i]]
+function travel(a, b, perm) {
+  let sum = 0;
+  for (let i = 0; i < perm.length; i++) {
+    for (let c = 0; c < 3; c++) sum += (a[i * 3 + c] - b[perm[i] * 3 + c]) ** 2;
+  }
+  return sum;
+}
+
+const MATCHERS = {
+  morton: (a, b, n) => matchByCurve(a, b, n, 'morton').perm,
+  hilbert: (a, b, n) => matchByCurve(a, b, n, 'hilbert').perm,
+  nearest: matchNearest,
+  ot: matchTransport,
+};
+
+test('every mode pairs each point with a distinct partner', () => {
+  const a = randomCloud(COUNT, 1), b = randomCloud(COUNT, 2);
+  for (const [mode, match] of Object.entries(MATCHERS)) {
+    assertPermutation(match(a, b, COUNT), COUNT, mode);
+    assertPermutation(match(a, b, 1), 1, `${mode}/1`);
+  }
+  // Duplicate points must not be handed out twice
+  const flat = new Float32Array(300).fill(0.5);
+  for (const [mode, match] of Object.entries(MATCHERS)) assertPermutation(match(flat, flat, 100), 100, `${mode}/duplicates`);
+});
+
+test('every mode travels less than file order', () => {
+  const a = randomCloud(COUNT, 3), b = randomCloud(COUNT, 4);
+  const identity = Uint32Array.from({ length: COUNT }, (_, i) => i);
+  const byIndex = travel(a, b, identity);
+  const cost = {};
+  for (const [mode, match] of Object.entries(MATCHERS)) {
+    cost[mode] = travel(a, b, match(a, b, COUNT));
+    assert.ok(cost[mode] < byIndex / 2, `${mode}: ${cost[mode]} vs ${byIndex}`);
+  }
+  // The swap pass only ever lowers the hilbert pairing's cost
+  assert.ok(cost.ot <= cost.hilbert);
+});
+
+test('a shuffled copy of the same cloud pairs every point with itself', () => {
+  const a = randomCloud(500, 5);
+  const rand = mulberry32(6);
+  const shuffle = Uint32Array.from({ length: 500 }, (_, i) => i);
+  for (let i = 499; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [shuffle[i], shuffle[j]] = [shuffle[j], shuffle[i]];
+  }
+  const b = new Float32Array(1500);
+  shuffle.forEach((src, i) => b.set(a.subarray(src * 3, src * 3 + 3), i * 3));
+  for (const [mode, match] of Object.entries(MATCHERS)) {
+    assert.equal(travel(a, b, match(a, b, 500)), 0, mode);
+  }
+});
+
+test('correspond reorders every later keyframe and keeps borrowed colors null', () => {
+  const keyframes = [
+    { positions: randomCloud(400, 7), colors: randomCloud(400, 8) },
+    { positions: randomCloud(400, 9, 1), colors: null, visibility: Float32Array.from({ length: 400 }, (_, i) => i % 2) },
+    { positions: randomCloud(400, 10, -1), colors: randomCloud(400, 11) },
+  ];
+  const before = keyframes.map((kf) => ({ ...kf }));
+  const result = correspond('nearest', keyframes);
+
+  assert.equal(result[0].positions, before[0].positions);
+  assert.equal(result[1].colors, null);
+  for (const k of [1, 2]) {
+    // Same points, new order: every output triplet appears in the input
+    const inputs = new Set();
+    for (let i = 0; i < 400; i++) inputs.add(before[k].positions.subarray(i * 3, i * 3 + 3).join());
+    for (let i = 0; i < 400; i++) assert.ok(inputs.has(result[k].positions.subarray(i * 3, i * 3 + 3).join()));
+  }
+  // Visibility and colors travel with their point
+  const match = (k, i) => {
+    for (let j = 0; j < 400; j++) {
+      if (before[k].positions.subarray(j * 3, j * 3 + 3).join() === result[k].positions.subarray(i * 3, i * 3 + 3).join()) return j;
+    }
+    return -1;
+  };
+  for (let i = 0; i < 400; i += 37) {
+    assert.equal(result[1].visibility[i], before[1].visibility[match(1, i)]);
+    const j = match(2, i);
+    assert.deepEqual(result[2].colors.subarray(i * 3, i * 3 + 3), before[2].colors.subarray(j * 3, j * 3 + 3));
+  }
+});
+
+test('index mode leaves keyframes untouched', () => {
+  const keyframes = [{ positions: randomCloud(10, 12), colors: null }, { positions: randomCloud(10, 13), colors: null }];
+  const second = keyframes[1];
+  assert.equal(correspond('index', keyframes)[1], second);
+});
@@ -0,0 +1,123 @@
+// las.test.mjs
+// LAS records (js/formats/las.js) from hand-built files: header fields, axes, color ranges.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLAS, parseLASHeader } from '../js/formats/las.js';
+import { srgbToLinear } from '../js/formats/cloud.js';
+
+const RECORD_LENGTH = { 0: 20, 2: 26, 7: 36 };
+
+// points: [{ xyz: [X, Y, Z] (LAS units), intensity, classification, rgb? }]
+function buildLAS(points, { format = 2, version = [1, 2], scale = [0.01, 0.01, 0.01], offset = [1000, 2000, 0] } = {}) {
+  const headerSize = version[1] >= 4 ? 375 : 227;
+  const stride = RECORD_LENGTH[format];
+  const buffer = new ArrayBuffer(headerSize + points.length * stride);
+  const view = new DataView(buffer);
+  'LASF'.split('').forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+  view.setUint8(24, version[0]);
+  view.setUint8(25, version[1]);
+  view.setUint16(94, headerSize, true);
+  view.setUint32(96, headerSize, true);
+  view.setUint8(104, format);
+  view.setUint16(105, stride, true);
+  // 1.4 files keep the legacy count at 0 when they use the 64-bit one
+  view.setUint32(107, version[1] >= 4 ? 0 : points.length, true);
+  if (version[1] >= 4) view.setBigUint64(247, BigInt(points.length), true);
+
+  const world = points.map((p) => p.xyz.map((v, a) => v * scale[a] + offset[a]));
+  for (let a = 0; a < 3; a++) {
+    view.setFloat64(131 + a * 8, scale[a], true);
+    view.setFloat64(155 + a * 8, offset[a], true);
+    view.setFloat64(179 + a * 16, Math.max(...world.map((w) => w[a])), true);
+    view.setFloat64(187 + a * 16, Math.min(...world.map((w) => w[a])), true);
+  }
+
+  const rgbOffset = { 2: 20, 7: 30 }[format];
+  points.forEach((p, i) => {
+    const o = headerSize + i * stride;
+    p.xyz.forEach((v, a) => view.setInt32(o + a * 4, v, true));
+    view.setUint16(o + 12, p.intensity ?? 0, true);
+    if (format >= 6) view.setUint8(o + 16, p.classification ?? 0);
+    else view.setUint8(o + 15, (p.classification ?? 0) | 0xE0); // flag bits above the class
+    if (rgbOffset !== undefined) p.rgb.forEach((v, c) => view.setUint16(o + rgbOffset + c * 2, v, true));
+  });
+  return { buffer, world };
+}
+
+const near = (actual, expected, label, eps = 1e-3) => {
+  assert.equal(actual.length, expected.length, `${label} length`);
+  Array.from(actual).forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= eps, `${label}[${i}]: ${v} vs ${expected[i]}`));
+};
+
+// Y-up positions as the parser returns them, relative to the bounds center
+function expectedPositions(world) {
+  const center = [0, 1, 2].map((a) => (Math.min(...world.map((w) => w[a])) + Math.max(...world.map((w) => w[a]))) / 2);
+  return world.flatMap(([x, y, z]) => [x - center[0], z - center[2], -(y - center[1])]);
+}
+
+test('header fields', () => {
+  const { buffer } = buildLAS([{ xyz: [0, 0, 0], rgb: [0, 0, 0] }, { xyz: [100, 50, 10], rgb: [0, 0, 0] }]);
+  const header = parseLASHeader(buffer);
+  assert.equal(header.version, '1.2');
+  assert.equal(header.pointFormat, 2);
+  assert.equal(header.compressed, false);
+  assert.equal(header.pointCount, 2);
+  assert.equal(header.pointRecordLength, 26);
+  assert.deepEqual(header.scale, [0.01, 0.01, 0.01]);
+  assert.deepEqual(header.min, [1000, 2000, 0]);
+  assert.deepEqual(header.max, [1001, 2000.5, 0.1]);
+});
+
+test('format 2: Y-up positions around the bounds center, 16-bit colors, attributes', async () => {
+  const points = [
+    { xyz: [0, 0, 0], intensity: 100, classification: 2, rgb: [65535, 0, 0] },
+    { xyz: [250, -400, 75], intensity: 60000, classification: 6, rgb: [0, 32768, 65535] },
+    { xyz: [-100, 20, 300], intensity: 0, classification: 9, rgb: [1000, 1000, 1000] },
+  ];
+  const { buffer, world } = buildLAS(points);
+  const cloud = await parseLAS(buffer);
+  assert.equal(cloud.count, 3);
+  near(cloud.positions, expectedPositions(world), 'positions');
+  near(cloud.colors, points.flatMap((p) => p.rgb.map((v) => srgbToLinear(v / 65535))), 'colors', 1e-6);
+  assert.deepEqual(Array.from(cloud.attributes.intensity.array), [100, 60000, 0]);
+  assert.equal(cloud.attributes.intensity.normalized, true);
+  assert.deepEqual(Array.from(cloud.attributes.classification.array), [2, 6, 9]);
+});
+
+test('8-bit colors stored in 16-bit fields are read as 0..255', async () => {
+  const { buffer } = buildLAS([{ xyz: [0, 0, 0], rgb: [255, 128, 0] }, { xyz: [1, 1, 1], rgb: [0, 64, 255] }]);
+  const cloud = await parseLAS(buffer);
+  near(cloud.colors, [255, 128, 0, 0, 64, 255].map((v) => srgbToLinear(v / 255)), 'colors', 1e-6);
+});
+
+test('format 0 has no colors', async () => {
+  const { buffer, world } = buildLAS([{ xyz: [0, 0, 0], classification: 1 }, { xyz: [10, 20, 30], classification: 31 }], { format: 0 });
+  const cloud = await parseLAS(buffer);
+  assert.equal(cloud.colors, null);
+  near(cloud.positions, expectedPositions(world), 'positions');
+  assert.deepEqual(Array.from(cloud.attributes.classification.array), [1, 31]);
+});
+
+test('LAS 1.4 format 7: 64-bit point count, extended classification and color offset', async () => {
+  const points = [
+    { xyz: [0, 0, 0], classification: 40, rgb: [0, 0, 65535] },
+    { xyz: [5, 5, 5], classification: 200, rgb: [65535, 65535, 0] },
+  ];
+  const { buffer } = buildLAS(points, { format: 7, version: [1, 4] });
+  assert.equal(parseLASHeader(buffer).pointCount, 2);
+  const cloud = await parseLAS(buffer);
+  assert.equal(cloud.count, 2);
+  assert.deepEqual(Array.from(cloud.attributes.classification.array), [40, 200]);
+  near(cloud.colors, [0, 0, 1, 1, 1, 0], 'colors', 1e-6);
+});
+
+test('not a LAS file', async () => {
+  await assert.rejects(parseLAS(new ArrayBuffer(400)), /not a LAS\/LAZ file/);
+});
+
+test('unsupported point formats are rejected', async () => {
+  const { buffer } = buildLAS([{ xyz: [0, 0, 0] }], { format: 0 });
+  new DataView(buffer).setUint8(104, 11);
+  await assert.rejects(parseLAS(buffer), /unsupported point format 11/);
+});
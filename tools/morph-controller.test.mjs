@@ -0,0 +1,171 @@
+// morph-controller.test.mjs
+// Morph progress smoothing (js/morph-controller.js): easing curves, damping, clamping, glide, snapping.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MORPH_EASINGS, MorphController, cubicBezier, parseBezier } from '../js/morph-controller.js';
+
+const near = (actual, expected, label, eps = 1e-4) => assert.ok(Math.abs(actual - expected) <= eps, `${label}: ${actual} vs ${expected}`);
+
+// Runs update() for `seconds` in 60 Hz steps; returns the last eased value
+function run(controller, seconds) {
+  let eased;
+  for (let t = 0; t < seconds - 1e-9; t += 1 / 60) eased = controller.update(1 / 60);
+  return eased;
+}
+
+test('every easing runs from 0 to 1 without going back', () => {
+  for (const easing of MORPH_EASINGS) {
+    const controller = new MorphController({ easing });
+    assert.equal(controller.ease(0), 0, easing);
+    near(controller.ease(1), 1, easing);
+    for (let i = 1; i <= 100; i++) {
+      assert.ok(controller.ease(i / 100) >= controller.ease((i - 1) / 100) - 1e-9, `${easing} at ${i / 100}`);
+    }
+  }
+  // Symmetric curves pass through the middle
+  for (const easing of ['linear', 'sine', 'cubic', 'expo']) near(new MorphController({ easing }).ease(0.5), 0.5, easing);
+});
+
+test('unknown easings fall back to linear', () => {
+  const controller = new MorphController({ easing: 'bounce' });
+  assert.equal(controller.easing, 'linear');
+  assert.equal(controller.ease(0.3), 0.3);
+});
+
+test('cubicBezier matches the CSS keywords', () => {
+  const linear = cubicBezier(0, 0, 1, 1);
+  for (const t of [0.1, 0.5, 0.9]) near(linear(t), t, `linear ${t}`);
+  // CSS `ease-in-out` is symmetric around its midpoint
+  const easeInOut = cubicBezier(0.42, 0, 0.58, 1);
+  near(easeInOut(0.5), 0.5, 'ease-in-out 0.5');
+  near(easeInOut(0.25) + easeInOut(0.75), 1, 'ease-in-out symmetry');
+  assert.ok(easeInOut(0.1) < 0.1);
+  // Overshooting control points leave [0, 1] in the middle but keep the endpoints
+  const back = cubicBezier(0.5, -0.5, 0.5, 1.5);
+  assert.equal(back(0), 0);
+  assert.equal(back(1), 1);
+  assert.ok(back(0.1) < 0);
+});
+
+test('parseBezier accepts lists and cubic-bezier(), clamps x and rejects the rest', () => {
+  assert.deepEqual(parseBezier('0.42, 0, 0.58, 1'), [0.42, 0, 0.58, 1]);
+  assert.deepEqual(parseBezier('cubic-bezier(0.1 -0.5 0.9 1.5)'), [0.1, -0.5, 0.9, 1.5]);
+  assert.deepEqual(parseBezier('-1, 0, 2, 1'), [0, 0, 1, 1]);
+  assert.equal(parseBezier('0.42, 0, 0.58'), null);
+  assert.equal(parseBezier('a, b, c, d'), null);
+  assert.equal(parseBezier(null), null);
+});
+
+test('damping eases value toward the target and settles on it', () => {
+  const controller = new MorphController({ damping: 10 });
+  controller.setTarget(1);
+  const first = controller.update(0.05);
+  near(first, 1 - Math.exp(-0.5), 'after 50 ms');
+  run(controller, 2);
+  assert.equal(controller.value, 1);
+
+  const immediate = new MorphController({ damping: 0 });
+  immediate.setTarget(0.7);
+  assert.equal(immediate.update(0.016), 0.7);
+});
+
+test('targets are clamped; nudges accumulate; jump skips smoothing', () => {
+  const controller = new MorphController();
+  controller.setTarget(1.5);
+  assert.equal(controller.target, 1);
+  controller.nudge(-0.3);
+  controller.nudge(-0.3);
+  near(controller.target, 0.4, 'nudged');
+  controller.nudge(-5);
+  assert.equal(controller.target, 0);
+  controller.jump(0.6);
+  assert.equal(controller.value, 0.6);
+  assert.equal(controller.update(0.016), 0.6);
+});
+
+test('a released drag glides on and stops at the end of the range', () => {
+  const controller = new MorphController({ glide: 0.35 });
+  controller.drag(0.1, 0);
+  controller.drag(0.2, 50);
+  controller.drag(0.3, 100);
+  controller.release(110);
+  assert.ok(controller.velocity > 0);
+  run(controller, 0.5);
+  assert.ok(controller.target > 0.3, `target ${controller.target}`);
+  run(controller, 5);
+  assert.equal(controller.velocity, 0);
+  assert.ok(controller.target <= 1);
+
+  // A finger that rested before lifting does not fling
+  const rested = new MorphController({ glide: 0.35 });
+  rested.drag(0.1, 0);
+  rested.drag(0.2, 50);
+  rested.release(400);
+  assert.equal(rested.velocity, 0);
+
+  // glide = 0 turns momentum off
+  const still = new MorphController({ glide: 0 });
+  still.drag(0.1, 0);
+  still.drag(0.2, 50);
+  still.release(60);
+  assert.equal(still.velocity, 0);
+});
+
+test('new input cancels a glide', () => {
+  const controller = new MorphController();
+  controller.drag(0.1, 0);
+  controller.drag(0.3, 50);
+  controller.release(60);
+  controller.setTarget(0.5);
+  assert.equal(controller.velocity, 0);
+});
+
+test('idle input snaps the target to the nearest point and reports it', () => {
+  const snapped = [];
+  const controller = new MorphController({ snapPoints: [0, 0.5, 1], snapDelay: 0.2, onSnap: (p) => snapped.push(p) });
+  controller.setTarget(0.4);
+  run(controller, 0.1);
+  assert.equal(controller.target, 0.4);
+  run(controller, 0.15);
+  assert.equal(controller.target, 0.5);
+  assert.deepEqual(snapped, [0.5]);
+  // Already on a point: no second callback
+  run(controller, 1);
+  assert.deepEqual(snapped, [0.5]);
+  near(controller.value, 0.5, 'settled value', 1e-5);
+});
+
+test('no snapping while dragging or gliding', () => {
+  const controller = new MorphController({ snapPoints: [0, 1], snapDelay: 0.1 });
+  controller.drag(0.3, 0);
+  run(controller, 0.5);
+  assert.equal(controller.target, 0.3);
+  controller.drag(0.35, 50);
+  controller.release(60);
+  controller.update(0.15);
+  assert.ok(controller.velocity > 0);
+  assert.notEqual(controller.target, 0);
+  run(controller, 5);
+  assert.ok(controller.target === 0 || controller.target === 1);
+});
+
+test('per-segment easing maps every keyframe onto itself', () => {
+  for (const easing of MORPH_EASINGS) {
+    const controller = new MorphController({ easing, segments: 4 });
+    for (let k = 0; k <= 4; k++) near(controller.ease(k / 4), k / 4, `${easing} keyframe ${k}`, 1e-6);
+    for (let i = 1; i <= 100; i++) {
+      assert.ok(controller.ease(i / 100) >= controller.ease((i - 1) / 100) - 1e-9, `${easing} at ${i / 100}`);
+    }
+  }
+  // Inside a segment the curve is the single-segment curve, scaled
+  const one = new MorphController({ easing: 'cubic' });
+  const three = new MorphController({ easing: 'cubic', segments: 3 });
+  near(three.ease((1 + 0.2) / 3), (1 + one.ease(0.2)) / 3, 'scaled segment', 1e-9);
+});
+
+test('snapping to a keyframe shows exactly that keyframe', () => {
+  const controller = new MorphController({ easing: 'sine', segments: 2, snapPoints: [0, 0.5, 1], snapDelay: 0.1 });
+  controller.setTarget(0.45);
+  assert.equal(run(controller, 3), 0.5);
+});
@@ -0,0 +1,65 @@
+// morph-delay.test.mjs
+// Per-point morph delays (js/morph-delay.js): one value in 0..1 per point, ordered as each
+// sweep describes.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MORPH_DELAY_MODES, computeMorphDelays } from '../js/morph-delay.js';
+import { mulberry32 } from '../js/sampling.js';
+
+function randomCloud(count, seed) {
+  const rand = mulberry32(seed);
+  return Float32Array.from({ length: count * 3 }, () => rand() * 4 - 2);
+}
+
+test('every mode gives one delay in 0..1 per point', () => {
+  const positions = randomCloud(500, 1);
+  for (const mode of MORPH_DELAY_MODES) {
+    const delays = computeMorphDelays(positions, 500, mode, mulberry32(2));
+    assert.equal(delays.length, 500, mode);
+    assert.ok(delays.every((d) => d >= 0 && d <= 1), mode);
+  }
+  assert.equal(computeMorphDelays(new Float32Array(0), 0, 'noise', mulberry32(2)).length, 0);
+});
+
+test('none starts every point together', () => {
+  assert.ok(computeMorphDelays(randomCloud(50, 3), 50, 'none', mulberry32(1)).every((d) => d === 0));
+});
+
+test('height runs bottom to top over the full range', () => {
+  const positions = randomCloud(200, 4);
+  const delays = computeMorphDelays(positions, 200, 'height', mulberry32(1));
+  const byHeight = Array.from({ length: 200 }, (_, i) => i).sort((a, b) => positions[a * 3 + 1] - positions[b * 3 + 1]);
+  assert.equal(delays[byHeight[0]], 0);
+  assert.equal(delays[byHeight[199]], 1);
+  for (let k = 1; k < 200; k++) assert.ok(delays[byHeight[k]] >= delays[byHeight[k - 1]]);
+});
+
+test('radial runs from the center outwards', () => {
+  // The bounds center, two opposite corners and a point in between
+  const positions = Float32Array.from([0, 0, 0, -1, -1, -1, 1, 1, 1, 0.5, 0, 0]);
+  const delays = computeMorphDelays(positions, 4, 'radial', mulberry32(1));
+  assert.equal(delays[0], 0);
+  assert.equal(delays[1], 1);
+  assert.equal(delays[2], 1);
+  assert.ok(delays[3] > 0 && delays[3] < 1);
+});
+
+test('noise is smooth in space and follows the seed', () => {
+  const positions = randomCloud(300, 5);
+  const a = computeMorphDelays(positions, 300, 'noise', mulberry32(6));
+  assert.deepEqual(a, computeMorphDelays(positions, 300, 'noise', mulberry32(6)));
+  assert.notDeepEqual(a, computeMorphDelays(positions, 300, 'noise', mulberry32(7)));
+
+  // Two nearby points get nearby delays
+  const pair = Float32Array.from([-2, -2, -2, 2, 2, 2, 0.3, 0.3, 0.3, 0.301, 0.3, 0.3]);
+  const d = computeMorphDelays(pair, 4, 'noise', mulberry32(8));
+  assert.ok(Math.abs(d[2] - d[3]) < 0.02, `${d[2]} vs ${d[3]}`);
+});
+
+test('flat clouds do not divide by zero', () => {
+  const flat = new Float32Array(30).fill(1);
+  for (const mode of MORPH_DELAY_MODES) {
+    assert.ok(computeMorphDelays(flat, 10, mode, mulberry32(1)).every(Number.isFinite), mode);
+  }
+});
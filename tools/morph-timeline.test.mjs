@@ -0,0 +1,108 @@
+// morph-timeline.test.mjs
+// Autoplay tracks (js/morph-timeline.js): key interpolation, play modes, cycles, duration.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MorphTimeline } from '../js/morph-timeline.js';
+
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} vs ${expected}`);
+
+const TRACKS = { morph: [[0, 0], [2, 1], [4, 0]], glow: [[1, 0.2], [3, 0.8]] };
+
+test('values ease between keys and hold outside them', () => {
+  const timeline = new MorphTimeline({ tracks: TRACKS });
+  assert.equal(timeline.duration, 4);
+  assert.deepEqual(timeline.evaluate(0), { morph: 0, glow: 0.2 });
+  near(timeline.evaluate(1).morph, 0.5, 'midpoint');
+  near(timeline.evaluate(0.5).morph, 0.5 - 0.5 * Math.cos(Math.PI / 4), 'sine in/out');
+  assert.equal(timeline.evaluate(2).morph, 1);
+  assert.equal(timeline.evaluate(0.5).glow, 0.2);
+  assert.equal(timeline.evaluate(3.5).glow, 0.8);
+});
+
+test('tracks are sorted and invalid keys dropped', () => {
+  const timeline = new MorphTimeline({ tracks: { morph: [[2, 1], [NaN, 5], 'x', [0, 0]], empty: [], bad: null } });
+  assert.deepEqual(timeline.tracks, { morph: [[0, 0], [2, 1]] });
+  assert.equal(timeline.duration, 2);
+});
+
+test('once plays to the end and pauses; play() starts over', () => {
+  const timeline = new MorphTimeline({ tracks: TRACKS, mode: 'once' });
+  timeline.play();
+  timeline.update(3);
+  assert.equal(timeline.time, 3);
+  timeline.update(3);
+  assert.equal(timeline.time, 4);
+  assert.equal(timeline.playing, false);
+  timeline.play();
+  assert.equal(timeline.time, 0);
+});
+
+test('loop wraps and counts cycles', () => {
+  const cycles = [];
+  const timeline = new MorphTimeline({ tracks: TRACKS, onCycle: (n) => cycles.push(n) });
+  timeline.play();
+  timeline.update(3);
+  timeline.update(2);
+  near(timeline.time, 1, 'wrapped');
+  timeline.update(3.5);
+  near(timeline.time, 0.5, 'wrapped again');
+  assert.deepEqual(cycles, [1, 2]);
+});
+
+test('pingpong turns at the end and completes a cycle back at the start', () => {
+  const cycles = [];
+  const timeline = new MorphTimeline({ tracks: TRACKS, mode: 'pingpong', onCycle: (n) => cycles.push(n) });
+  timeline.play();
+  timeline.update(5);
+  assert.equal(timeline.time, 3);
+  assert.equal(timeline.direction, -1);
+  assert.deepEqual(cycles, []);
+  timeline.update(4);
+  assert.equal(timeline.time, 1);
+  assert.equal(timeline.direction, 1);
+  assert.deepEqual(cycles, [1]);
+});
+
+test('speed scales time; paused timelines stay put', () => {
+  const timeline = new MorphTimeline({ tracks: TRACKS, speed: 2 });
+  timeline.update(1);
+  assert.equal(timeline.time, 0);
+  timeline.play();
+  timeline.update(1);
+  assert.equal(timeline.time, 2);
+  assert.equal(timeline.toggle(), false);
+  timeline.update(1);
+  assert.equal(timeline.time, 2);
+});
+
+test('seek clamps and reports the state there', () => {
+  const updates = [];
+  const timeline = new MorphTimeline({ tracks: TRACKS, onUpdate: (state) => updates.push(state) });
+  assert.deepEqual(timeline.seek(10), { morph: 0, glow: 0.8 });
+  assert.equal(timeline.time, 4);
+  timeline.seek(-1);
+  assert.equal(timeline.time, 0);
+  timeline.seek('nonsense');
+  assert.equal(timeline.time, 0);
+  assert.equal(updates.length, 3);
+});
+
+test('setDuration keeps the tracks; setTracks replaces them', () => {
+  const timeline = new MorphTimeline({ tracks: TRACKS });
+  timeline.seek(3);
+  timeline.setDuration(2);
+  assert.deepEqual(timeline.tracks, TRACKS);
+  assert.equal(timeline.duration, 2);
+  assert.equal(timeline.time, 2);
+  timeline.setDuration(undefined);
+  assert.equal(timeline.duration, 4);
+
+  timeline.setTracks({ wind: [[0, 1], [6, 0]] });
+  assert.deepEqual(Object.keys(timeline.tracks), ['wind']);
+  assert.equal(timeline.duration, 6);
+});
+
+test('unknown modes fall back to loop', () => {
+  assert.equal(new MorphTimeline({ mode: 'bounce' }).mode, 'loop');
+});
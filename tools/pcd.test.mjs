@@ -0,0 +1,117 @@
+// pcd.test.mjs
+// PCD files (js/formats/pcd.js) in all three DATA encodings: header fields, packed colors,
+// intensity ranges and the NaN points organized clouds use for missing returns.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePCD } from '../js/formats/pcd.js';
+import { srgbToLinear } from '../js/formats/cloud.js';
+
+const header = (fields, size, type, points, data) => [
+  '# .PCD v0.7 - Point Cloud Data file format',
+  'VERSION 0.7',
+  `FIELDS ${fields}`,
+  `SIZE ${size}`,
+  `TYPE ${type}`,
+  `COUNT ${fields.split(' ').map(() => 1).join(' ')}`,
+  `WIDTH ${points}`,
+  'HEIGHT 1',
+  'VIEWPOINT 0 0 0 1 0 0 0',
+  `POINTS ${points}`,
+  `DATA ${data}`,
+  '',
+].join('\n');
+
+const file = (head, body) => {
+  const bytes = Buffer.concat([Buffer.from(head), Buffer.from(body)]);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+// Float whose bits are the packed 0x00RRGGBB, as PCL writes rgb fields
+const packedFloat = (rgb) => new Float32Array(new Uint32Array([rgb]).buffer)[0];
+const linear = (rgb) => [(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff].map((v) => srgbToLinear(v / 255));
+
+const near = (actual, expected, label) => {
+  assert.equal(actual.length, expected.length, `${label} length`);
+  Array.from(actual).forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-6, `${label}[${i}]: ${v} vs ${expected[i]}`));
+};
+
+test('ascii with F4 rgb bit patterns and float intensity', () => {
+  const colors = [0xff0000, 0x00ff80, 0x102030];
+  const rows = [[1, 2, 3, 10], [4, 5, 6, 20], [7, 8, 9, 40]]
+    .map(([x, y, z, i], n) => `${x} ${y} ${z} ${packedFloat(colors[n]).toExponential(9)} ${i}`);
+  const cloud = parsePCD(file(header('x y z rgb intensity', '4 4 4 4 4', 'F F F F F', 3, 'ascii'), rows.join('\n') + '\n'));
+  assert.equal(cloud.count, 3);
+  near(cloud.positions, [1, 2, 3, 4, 5, 6, 7, 8, 9], 'positions');
+  near(cloud.colors, colors.flatMap(linear), 'colors');
+  // Floats above 1 are scaled by their maximum
+  near(cloud.attributes.intensity.array, [0.25, 0.5, 1], 'intensity');
+  assert.equal(cloud.userData.pcd.data, 'ascii');
+  assert.deepEqual(cloud.userData.pcd.fields, ['x', 'y', 'z', 'rgb', 'intensity']);
+});
+
+test('binary records with U4 rgb, U2 intensity and NaN points dropped', () => {
+  const points = [
+    { xyz: [1, 2, 3], rgb: 0xff8000, intensity: 65535 },
+    { xyz: [NaN, NaN, NaN], rgb: 0, intensity: 0 },
+    { xyz: [-1, 0.5, 2], rgb: 0x0000ff, intensity: 32768 },
+  ];
+  const body = Buffer.alloc(points.length * 18);
+  points.forEach((p, i) => {
+    p.xyz.forEach((v, a) => body.writeFloatLE(v, i * 18 + a * 4));
+    body.writeUInt32LE(p.rgb, i * 18 + 12);
+    body.writeUInt16LE(p.intensity, i * 18 + 16);
+  });
+  const cloud = parsePCD(file(header('x y z rgb intensity', '4 4 4 4 2', 'F F F U U', 3, 'binary'), body));
+  assert.equal(cloud.count, 2);
+  near(cloud.positions, [1, 2, 3, -1, 0.5, 2], 'positions');
+  near(cloud.colors, [...linear(0xff8000), ...linear(0x0000ff)], 'colors');
+  // Integer intensity is scaled by its type's range
+  near(cloud.attributes.intensity.array, [1, 32768 / 65535], 'intensity');
+});
+
+// LZF stream of literal runs (at most 32 bytes each)
+function lzfLiterals(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += 32) {
+    const run = bytes.subarray(i, i + 32);
+    out.push(run.length - 1, ...run);
+  }
+  return Buffer.from(out);
+}
+
+function compressedBody(columns, lzf) {
+  const raw = Buffer.concat(columns);
+  const compressed = lzf(raw);
+  const sizes = Buffer.alloc(8);
+  sizes.writeUInt32LE(compressed.length, 0);
+  sizes.writeUInt32LE(raw.length, 4);
+  return Buffer.concat([sizes, compressed]);
+}
+
+const floats = (values) => Buffer.from(new Float32Array(values).buffer);
+
+test('binary_compressed: column-major fields after LZF', () => {
+  const columns = [floats([1, 4, 7]), floats([2, 5, 8]), floats([3, 6, 9]), Buffer.from(new Uint32Array([0xff0000, 0x00ff00, 0x0000ff]).buffer)];
+  const cloud = parsePCD(file(header('x y z rgba', '4 4 4 4', 'F F F U', 3, 'binary_compressed'), compressedBody(columns, lzfLiterals)));
+  assert.equal(cloud.count, 3);
+  near(cloud.positions, [1, 2, 3, 4, 5, 6, 7, 8, 9], 'positions');
+  near(cloud.colors, [0xff0000, 0x00ff00, 0x0000ff].flatMap(linear), 'colors');
+  assert.equal(cloud.attributes.intensity, undefined);
+});
+
+test('binary_compressed: LZF back references', () => {
+  // Every column repeats one value: 4 literal bytes, then 8 bytes copied from 4 back
+  const repeat = (value) => Buffer.concat([Buffer.from([3]), floats([value]), Buffer.from([6 << 5, 3])]);
+  const lzf = () => Buffer.concat([repeat(1.5), repeat(-2), repeat(0.25)]);
+  const columns = [floats([1.5, 1.5, 1.5]), floats([-2, -2, -2]), floats([0.25, 0.25, 0.25])];
+  const cloud = parsePCD(file(header('x y z', '4 4 4', 'F F F', 3, 'binary_compressed'), compressedBody(columns, lzf)));
+  near(cloud.positions, [1.5, -2, 0.25, 1.5, -2, 0.25, 1.5, -2, 0.25], 'positions');
+  assert.equal(cloud.colors, null);
+});
+
+test('header errors', () => {
+  assert.throws(() => parsePCD(file('VERSION 0.7\nFIELDS x y z\n', '')), /missing DATA line/);
+  assert.throws(() => parsePCD(file(header('x y', '4 4', 'F F', 1, 'ascii'), '1 2\n')), /x\/y\/z fields are required/);
+  assert.throws(() => parsePCD(file(header('x y z', '4 4 4', 'F F F', 1, 'zip'), '')), /unsupported DATA type "zip"/);
+});
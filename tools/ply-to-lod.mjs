@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// ply-to-lod.mjs
+// Converts a PLY point cloud into the chunked octree the viewer streams ('<name>.lod'
+// model paths, see js/formats/lod.js). Runs offline with Node 18+ and no dependencies
+// (the root package.json marks js/ as ES modules): it reuses the viewer's own PLY parser
+// and view normalization, so a converted model lines up exactly with the same file loaded
+// through loadModel().
+//
+//   node tools/ply-to-lod.mjs point/tree-bush.ply                 → point/tree-bush.lod/
+//   node tools/ply-to-lod.mjs in.ply out.lod --node-points 20000 --grid 128
+//   node tools/ply-to-lod.mjs --verify out.lod [in.ply]
+//
+// Every conversion is read back and verified: node counts must add up to the source
+// point count, every point must sit inside its node's cube, and the stored bounds must
+// match the normalized source. --verify runs the same checks on an existing output;
+// `npm test` round-trips generated clouds through both (tools/ply-to-lod.test.mjs).
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parsePLY } from '../js/formats/ply.js';
+import { linearToSrgb, normalizePositions } from '../js/formats/cloud.js';
+import { LOD_FORMAT, LOD_VERSION, lodChildBounds, lodNodeByteLength, lodNodeFile } from '../js/formats/lod.js';
+
+const DEFAULTS = {
+  nodePoints: 20000, // nodes at or below this size are leaves
+  grid: 128,         // subsample cells per axis inside each node (sets node spacing)
+  maxDepth: 12,
+};
+const EPSILON = 1e-5;
+
+/* ---------------- Build ---------------- */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function computeBounds(positions, count) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i++) {
+    for (let a = 0; a < 3; a++) {
+      const v = positions[i * 3 + a];
+      if (v < min[a]) min[a] = v;
+      if (v > max[a]) max[a] = v;
+    }
+  }
+  return { min, max };
+}
+
+// Smallest cube around the bounds, padded a hair so max-edge points stay inside.
+function cubeAround({ min, max }) {
+  const center = [0, 1, 2].map((a) => (min[a] + max[a]) * 0.5);
+  const half = Math.max(...[0, 1, 2].map((a) => max[a] - min[a])) * 0.5 * (1 + 1e-6) || 1;
+  return { min: center.map((c) => c - half), max: center.map((c) => c + half) };
+}
+
+function octant(positions, i, bounds) {
+  let digit = 0;
+  for (let a = 0; a < 3; a++) {
+    if (positions[i * 3 + a] >= (bounds.min[a] + bounds.max[a]) * 0.5) digit |= 4 >> a;
+  }
+  return digit;
+}
+
+// Each node keeps the first point (in shuffled order) of every occupied grid cell and
+// hands the rest to its eight children, so shallow nodes are even, coarse subsamples.
+function buildNodes(positions, order, bounds, options) {
+  const nodes = [];
+  const stack = [{ name: 'r', indices: order, bounds, depth: 0 }];
+  while (stack.length) {
+    const { name, indices, bounds: b, depth } = stack.pop();
+    if (indices.length <= options.nodePoints || depth >= options.maxDepth) {
+      nodes.push({ name, indices });
+      continue;
+    }
+
+    const g = options.grid;
+    const size = b.max[0] - b.min[0];
+    const occupied = new Set();
+    const kept = [];
+    const rest = [[], [], [], [], [], [], [], []];
+    for (const i of indices) {
+      const cx = Math.min(g - 1, Math.floor((positions[i * 3] - b.min[0]) / size * g));
+      const cy = Math.min(g - 1, Math.floor((positions[i * 3 + 1] - b.min[1]) / size * g));
+      const cz = Math.min(g - 1, Math.floor((positions[i * 3 + 2] - b.min[2]) / size * g));
+      const cell = (cx * g + cy) * g + cz;
+      if (!occupied.has(cell)) {
+        occupied.add(cell);
+        kept.push(i);
+      } else {
+        rest[octant(positions, i, b)].push(i);
+      }
+    }
+
+    nodes.push({ name, indices: Uint32Array.from(kept) });
+    for (let d = 0; d < 8; d++) {
+      if (rest[d].length) {
+        stack.push({ name: name + d, indices: Uint32Array.from(rest[d]), bounds: lodChildBounds(b, d), depth: depth + 1 });
+      }
+    }
+  }
+  return nodes.sort((a, b) => a.name.length - b.name.length || (a.name < b.name ? -1 : 1));
+}
+
+function encodeNode(positions, colors, indices) {
+  const count = indices.length;
+  const buffer = new ArrayBuffer(lodNodeByteLength(count, !!colors));
+  const xyz = new Float32Array(buffer, 0, count * 3);
+  const rgb = colors ? new Uint8Array(buffer, count * 12, count * 3) : null;
+  indices.forEach((src, i) => {
+    for (let a = 0; a < 3; a++) {
+      xyz[i * 3 + a] = positions[src * 3 + a];
+      if (rgb) rgb[i * 3 + a] = Math.round(Math.min(1, Math.max(0, linearToSrgb(colors[src * 3 + a]))) * 255);
+    }
+  });
+  return new Uint8Array(buffer);
+}
+
+export async function convertPLY(input, output, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const file = await readFile(input);
+  const cloud = parsePLY(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+  if (!cloud.count) throw new Error(`${input}: no points`);
+  normalizePositions(cloud.positions); // same transform as prepareGeometryForView()
+
+  const rand = mulberry32(0x5eed);
+  const order = new Uint32Array(cloud.count);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    const t = order[i]; order[i] = order[j]; order[j] = t;
+  }
+
+  const sourceBounds = computeBounds(cloud.positions, cloud.count);
+  const bounds = cubeAround(sourceBounds);
+  const nodes = buildNodes(cloud.positions, order, bounds, opts);
+
+  await rm(path.join(output, 'nodes'), { recursive: true, force: true });
+  await mkdir(path.join(output, 'nodes'), { recursive: true });
+  for (const node of nodes) {
+    await writeFile(path.join(output, lodNodeFile(node.name)), encodeNode(cloud.positions, cloud.colors, node.indices));
+  }
+
+  const index = {
+    format: LOD_FORMAT,
+    version: LOD_VERSION,
+    source: path.basename(input),
+    pointCount: cloud.count,
+    hasColor: !!cloud.colors,
+    bounds,
+    pointBounds: sourceBounds,
+    spacing: (bounds.max[0] - bounds.min[0]) / opts.grid,
+    nodes: nodes.map((n) => ({ name: n.name, count: n.indices.length })),
+  };
+  await writeFile(path.join(output, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+  return index;
+}
+
+/* ---------------- Verify ---------------- */
+// Reads an output back; with `input`, also checks it against a fresh parse of the source.
+export async function verifyLod(output, input = null) {
+  const errors = [];
+  const index = JSON.parse(await readFile(path.join(output, 'index.json'), 'utf8'));
+  if (index.format !== LOD_FORMAT) errors.push(`format is "${index.format}", expected "${LOD_FORMAT}"`);
+
+  const nodeBounds = new Map([['r', index.bounds]]);
+  const seen = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+  let total = 0;
+  for (const { name, count } of index.nodes) {
+    const bounds = nodeBounds.get(name);
+    if (!bounds) {
+      errors.push(`node ${name} has no parent in the index`);
+      continue;
+    }
+    for (let d = 0; d < 8; d++) nodeBounds.set(name + d, lodChildBounds(bounds, d));
+
+    const data = await readFile(path.join(output, lodNodeFile(name)));
+    if (data.byteLength !== lodNodeByteLength(count, index.hasColor)) {
+      errors.push(`node ${name}: ${data.byteLength} bytes, expected ${lodNodeByteLength(count, index.hasColor)}`);
+      continue;
+    }
+    const xyz = new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + count * 12));
+    let outside = 0;
+    for (let i = 0; i < count; i++) {
+      for (let a = 0; a < 3; a++) {
+        const v = xyz[i * 3 + a];
+        if (v < bounds.min[a] - EPSILON || v > bounds.max[a] + EPSILON) outside++;
+        if (v < seen.min[a]) seen.min[a] = v;
+        if (v > seen.max[a]) seen.max[a] = v;
+      }
+    }
+    if (outside) errors.push(`node ${name}: ${outside} coordinates outside its cube`);
+    total += count;
+  }
+
+  if (total !== index.pointCount) errors.push(`nodes hold ${total} points, index says ${index.pointCount}`);
+  const near = (a, b) => a.every((v, i) => Math.abs(v - b[i]) <= EPSILON);
+  if (!near(seen.min, index.pointBounds.min) || !near(seen.max, index.pointBounds.max)) {
+    errors.push(`stored points span ${JSON.stringify(seen)}, index says ${JSON.stringify(index.pointBounds)}`);
+  }
+
+  if (input) {
+    const file = await readFile(input);
+    const cloud = parsePLY(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+    normalizePositions(cloud.positions);
+    const source = computeBounds(cloud.positions, cloud.count);
+    if (cloud.count !== total) errors.push(`source has ${cloud.count} points, output ${total}`);
+    if (!near(source.min, seen.min) || !near(source.max, seen.max)) {
+      errors.push(`source spans ${JSON.stringify(source)}, output ${JSON.stringify(seen)}`);
+    }
+  }
+
+  return { index, total, errors };
+}
+
+/* ---------------- CLI ---------------- */
+function parseArgs(argv) {
+  const args = { files: [], options: {}, verify: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verify') args.verify = true;
+    else if (arg === '--node-points') args.options.nodePoints = Number(argv[++i]);
+    else if (arg === '--grid') args.options.grid = Number(argv[++i]);
+    else if (arg === '--max-depth') args.options.maxDepth = Number(argv[++i]);
+    else if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg.startsWith('-')) throw new Error(`unknown option ${arg}`);
+    else args.files.push(arg);
+  }
+  for (const [key, value] of Object.entries(args.options)) {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`--${key.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase())} needs a positive integer`);
+  }
+  return args;
+}
+
+const USAGE = `usage: node tools/ply-to-lod.mjs <input.ply> [output.lod] [--node-points N] [--grid N] [--max-depth N]
+       node tools/ply-to-lod.mjs --verify <output.lod> [input.ply]`;
+
+function report(label, { total, errors }) {
+  if (errors.length) {
+    console.error(`[lod] ${label}: ${errors.length} problem(s)`);
+    for (const e of errors) console.error('  - ' + e);
+    process.exitCode = 1;
+  } else {
+    console.log(`[lod] ${label}: ok (${total} points)`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.files.length) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.verify) {
+    const [output, input] = args.files;
+    report(`verify ${output}`, await verifyLod(output, input));
+    return;
+  }
+
+  const [input, output = input.replace(/\.ply$/i, '') + '.lod'] = args.files;
+  const started = performance.now();
+  const index = await convertPLY(input, output, args.options);
+  const seconds = ((performance.now() - started) / 1000).toFixed(1);
+  console.log(`[lod] ${input} → ${output}: ${index.pointCount} points in ${index.nodes.length} nodes (${seconds}s)`);
+  report(`verify ${output}`, await verifyLod(output, input));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch((err) => {
+    console.error('[lod]', err.message);
+    process.exitCode = 1;
+  });
+}
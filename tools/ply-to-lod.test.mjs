@@ -0,0 +1,110 @@
+// ply-to-lod.test.mjs
+// Round trip through the converter on small generated clouds: node counts add up to the
+// source count and the stored bounds match the normalized source.
+//
+//   npm test   (node --test tools/*.test.mjs)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { parsePLY } from '../js/formats/ply.js';
+import { normalizePositions } from '../js/formats/cloud.js';
+import { lodNodeByteLength, lodNodeFile } from '../js/formats/lod.js';
+import { convertPLY, verifyLod } from './ply-to-lod.mjs';
+
+// Off-centre, uneven blob so normalization and the octree split both have work to do
+function writePLY(file, count, { color = true, binary = false } = {}) {
+  const props = ['x', 'y', 'z'].map((a) => `property float ${a}`);
+  if (color) props.push('property uchar red', 'property uchar green', 'property uchar blue');
+  const header = `ply\nformat ${binary ? 'binary_little_endian' : 'ascii'} 1.0\nelement vertex ${count}\n${props.join('\n')}\nend_header\n`;
+  const stride = 12 + (color ? 3 : 0);
+  const body = Buffer.alloc(binary ? count * stride : 0);
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    const t = i / count;
+    const xyz = [5 + Math.sin(i * 0.37) * 3 * t, -2 + Math.cos(i * 1.3) * 0.5, 10 + t * 7];
+    const rgb = [i % 256, (i * 7) % 256, (i * 13) % 256];
+    if (binary) {
+      xyz.forEach((v, a) => body.writeFloatLE(v, i * stride + a * 4));
+      if (color) rgb.forEach((v, a) => body.writeUInt8(v, i * stride + 12 + a));
+    } else {
+      lines.push([...xyz, ...(color ? rgb : [])].join(' '));
+    }
+  }
+  return writeFile(file, binary ? Buffer.concat([Buffer.from(header), body]) : header + lines.join('\n') + '\n');
+}
+
+async function normalizedBounds(file) {
+  const data = await readFile(file);
+  const cloud = parsePLY(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  normalizePositions(cloud.positions);
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < cloud.count; i++) {
+    for (let a = 0; a < 3; a++) {
+      min[a] = Math.min(min[a], cloud.positions[i * 3 + a]);
+      max[a] = Math.max(max[a], cloud.positions[i * 3 + a]);
+    }
+  }
+  return { count: cloud.count, min, max };
+}
+
+async function roundTrip(t, count, plyOptions, lodOptions) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'ply-to-lod-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const input = path.join(dir, 'cloud.ply');
+  const output = path.join(dir, 'cloud.lod');
+  await writePLY(input, count, plyOptions);
+  const index = await convertPLY(input, output, lodOptions);
+  return { input, output, index };
+}
+
+const assertNear = (actual, expected, label) => {
+  actual.forEach((v, a) => assert.ok(Math.abs(v - expected[a]) <= 1e-5, `${label}[${a}]: ${v} vs ${expected[a]}`));
+};
+
+test('node counts add up to the source point count', async (t) => {
+  const { input, output, index } = await roundTrip(t, 6000, {}, { nodePoints: 400, grid: 8 });
+  assert.equal(index.pointCount, 6000);
+  assert.ok(index.nodes.length > 8, `expected a multi-level tree, got ${index.nodes.length} nodes`);
+  assert.equal(index.nodes.reduce((sum, n) => sum + n.count, 0), 6000);
+
+  for (const { name, count } of index.nodes) {
+    const data = await readFile(path.join(output, lodNodeFile(name)));
+    assert.equal(data.byteLength, lodNodeByteLength(count, true), `node ${name} size`);
+  }
+  const { total, errors } = await verifyLod(output, input);
+  assert.deepEqual(errors, []);
+  assert.equal(total, 6000);
+});
+
+test('stored bounds match the normalized source', async (t) => {
+  const { input, output, index } = await roundTrip(t, 3000, { binary: true }, { nodePoints: 300, grid: 16 });
+  const source = await normalizedBounds(input);
+  assertNear(index.pointBounds.min, source.min, 'pointBounds.min');
+  assertNear(index.pointBounds.max, source.max, 'pointBounds.max');
+
+  // The root cube encloses the points
+  for (let a = 0; a < 3; a++) {
+    assert.ok(index.bounds.min[a] <= source.min[a] && index.bounds.max[a] >= source.max[a], `root cube axis ${a}`);
+  }
+  assert.deepEqual((await verifyLod(output, input)).errors, []);
+});
+
+test('clouds without colour and below one node stay a single root', async (t) => {
+  const { input, output, index } = await roundTrip(t, 250, { color: false }, { nodePoints: 1000 });
+  assert.equal(index.hasColor, false);
+  assert.deepEqual(index.nodes, [{ name: 'r', count: 250 }]);
+  assert.deepEqual((await verifyLod(output, input)).errors, []);
+});
+
+test('verify reports a node count that no longer matches the index', async (t) => {
+  const { output } = await roundTrip(t, 2000, {}, { nodePoints: 300, grid: 8 });
+  const indexFile = path.join(output, 'index.json');
+  const index = JSON.parse(await readFile(indexFile, 'utf8'));
+  index.pointCount += 1;
+  await writeFile(indexFile, JSON.stringify(index));
+  const { errors } = await verifyLod(output);
+  assert.ok(errors.some((e) => e.includes('index says')), errors.join('; '));
+});
@@ -0,0 +1,78 @@
+// ply.test.mjs
+// PLY vertices (js/formats/ply.js) in ascii and both binary byte orders, with the elements
+// and list properties around them skipped.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePLY } from '../js/formats/ply.js';
+import { srgbToLinear } from '../js/formats/cloud.js';
+
+const buffer = (...parts) => {
+  const bytes = Buffer.concat(parts.map((p) => Buffer.from(p)));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+const near = (actual, expected, label) => {
+  assert.equal(actual.length, expected.length, `${label} length`);
+  Array.from(actual).forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-6, `${label}[${i}]: ${v} vs ${expected[i]}`));
+};
+
+test('ascii vertices with uchar colors, after another element', () => {
+  const text = [
+    'ply', 'format ascii 1.0', 'comment made by hand',
+    'element camera 1', 'property float fov',
+    'element vertex 2', 'property float x', 'property float y', 'property float z',
+    'property uchar red', 'property uchar green', 'property uchar blue',
+    'end_header', '60', '1 2 3 255 0 128', '-1 0.5 4 0 255 0', '',
+  ].join('\n');
+  const cloud = parsePLY(buffer(text));
+  assert.equal(cloud.count, 2);
+  near(cloud.positions, [1, 2, 3, -1, 0.5, 4], 'positions');
+  near(cloud.colors, [255, 0, 128, 0, 255, 0].map((v) => srgbToLinear(v / 255)), 'colors');
+  assert.equal(cloud.userData.format, 'ply');
+});
+
+function binaryPLY(little) {
+  const head = [
+    'ply', `format binary_${little ? 'little' : 'big'}_endian 1.0`,
+    'element vertex 2', 'property double x', 'property float y', 'property float z',
+    'property ushort diffuse_red', 'property ushort diffuse_green', 'property ushort diffuse_blue',
+    'element face 1', 'property list uchar int vertex_indices',
+    'end_header', '',
+  ].join('\n');
+  const body = new DataView(new ArrayBuffer(2 * 22 + 1 + 3 * 4));
+  let o = 0;
+  for (const [x, y, z, r, g, b] of [[1.5, 2, 3, 65535, 0, 0], [-4, 5, 6.25, 0, 32768, 65535]]) {
+    body.setFloat64(o, x, little); o += 8;
+    body.setFloat32(o, y, little); o += 4;
+    body.setFloat32(o, z, little); o += 4;
+    for (const c of [r, g, b]) { body.setUint16(o, c, little); o += 2; }
+  }
+  body.setUint8(o, 3);
+  return buffer(head, new Uint8Array(body.buffer));
+}
+
+test('binary little and big endian with 16-bit colors and a face list', () => {
+  for (const little of [true, false]) {
+    const cloud = parsePLY(binaryPLY(little));
+    assert.equal(cloud.count, 2);
+    near(cloud.positions, [1.5, 2, 3, -4, 5, 6.25], 'positions');
+    near(cloud.colors, [65535, 0, 0, 0, 32768, 65535].map((v) => srgbToLinear(v / 65535)), 'colors');
+  }
+});
+
+test('float colors are already 0..1; missing channels mean no colors', () => {
+  const withFloat = parsePLY(buffer('ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nproperty float y\nproperty float z\n' +
+    'property float r\nproperty float g\nproperty float b\nend_header\n0 0 0 0.5 1 0\n'));
+  near(withFloat.colors, [0.5, 1, 0].map(srgbToLinear), 'colors');
+
+  const partial = parsePLY(buffer('ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nproperty float y\nproperty float z\n' +
+    'property uchar red\nend_header\n0 0 0 255\n'));
+  assert.equal(partial.colors, null);
+});
+
+test('errors', () => {
+  assert.throws(() => parsePLY(buffer('solid cube\nend_header\n')), /not a PLY file/);
+  assert.throws(() => parsePLY(buffer('ply\nformat ascii 1.0\nelement face 0\nend_header\n')), /no vertex element/);
+  assert.throws(() => parsePLY(buffer('ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nend_header\n0\n')), /x\/y\/z missing/);
+});
@@ -0,0 +1,111 @@
+// resample.test.mjs
+// Keyframe padding (js/resample.js): each mode reaches the target count, keeps the source
+// points as a prefix and places the extra points where its comment says.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RESAMPLE_MODES, padSample } from '../js/resample.js';
+import { mulberry32 } from '../js/sampling.js';
+
+// Points on a 4×4×4 grid with spacing 1, colored by position
+function gridSample() {
+  const positions = [], colors = [];
+  for (let x = 0; x < 4; x++) {
+    for (let y = 0; y < 4; y++) {
+      for (let z = 0; z < 4; z++) {
+        positions.push(x, y, z);
+        colors.push(x / 3, y / 3, z / 3);
+      }
+    }
+  }
+  return { count: 64, positions: Float32Array.from(positions), colors: Float32Array.from(colors) };
+}
+
+const TARGET = 200;
+
+// Distance from extra point j to the closest source point, and that point's index
+function closestSource(sample, padded, j) {
+  let best = -1, bestD = Infinity;
+  for (let i = 0; i < sample.count; i++) {
+    const d = Math.hypot(...[0, 1, 2].map((a) => padded.positions[j * 3 + a] - sample.positions[i * 3 + a]));
+    if (d < bestD) { bestD = d; best = i; }
+  }
+  return { index: best, distance: bestD };
+}
+
+test('every padding mode reaches the target count and keeps the source as a prefix', () => {
+  const sample = gridSample();
+  for (const mode of RESAMPLE_MODES.filter((m) => m !== 'min')) {
+    const padded = padSample(sample, TARGET, mode, mulberry32(1));
+    assert.equal(padded.count, TARGET, mode);
+    assert.equal(padded.positions.length, TARGET * 3, mode);
+    assert.equal(padded.colors.length, TARGET * 3, mode);
+    assert.deepEqual(padded.positions.subarray(0, 64 * 3), sample.positions, mode);
+    assert.deepEqual(padded.colors.subarray(0, 64 * 3), sample.colors, mode);
+    assert.ok(padded.positions.every(Number.isFinite), mode);
+  }
+});
+
+test('min, full samples and empty samples are returned as they are', () => {
+  const sample = gridSample();
+  assert.equal(padSample(sample, TARGET, 'min', mulberry32(1)), sample);
+  assert.equal(padSample(sample, 64, 'jitter', mulberry32(1)), sample);
+  const empty = { count: 0, positions: new Float32Array(0), colors: null };
+  assert.equal(padSample(empty, TARGET, 'collapse', mulberry32(1)), empty);
+});
+
+test('collapse and fade copy a source point and its color', () => {
+  const sample = gridSample();
+  for (const mode of ['collapse', 'fade']) {
+    const padded = padSample(sample, TARGET, mode, mulberry32(2));
+    for (let j = 64; j < TARGET; j++) {
+      const { index, distance } = closestSource(sample, padded, j);
+      assert.equal(distance, 0, `${mode} point ${j}`);
+      assert.deepEqual(padded.colors.subarray(j * 3, j * 3 + 3), sample.colors.subarray(index * 3, index * 3 + 3));
+    }
+  }
+});
+
+test('fade marks extra points invisible; other modes only carry visibility through', () => {
+  const sample = gridSample();
+  const faded = padSample(sample, TARGET, 'fade', mulberry32(3));
+  assert.ok(faded.visibility.subarray(0, 64).every((v) => v === 1));
+  assert.ok(faded.visibility.subarray(64).every((v) => v === 0));
+
+  assert.equal(padSample(sample, TARGET, 'collapse', mulberry32(3)).visibility, null);
+  // Padding an already faded sample again keeps the hidden points hidden
+  const again = padSample(faded, 300, 'collapse', mulberry32(3));
+  assert.deepEqual(again.visibility.subarray(0, TARGET), faded.visibility);
+});
+
+test('jitter stays within half the spacing of a source point', () => {
+  const sample = gridSample();
+  const padded = padSample(sample, TARGET, 'jitter', mulberry32(4));
+  // Spacing of the 3×3×3 box filled by 64 points is 0.75; ±0.375 per axis
+  const bound = Math.sqrt(3) * 0.375 + 1e-6;
+  let moved = 0;
+  for (let j = 64; j < TARGET; j++) {
+    const { distance } = closestSource(sample, padded, j);
+    assert.ok(distance <= bound, `point ${j} is ${distance} away`);
+    if (distance > 0) moved++;
+  }
+  assert.ok(moved > 0);
+});
+
+test('nearest puts extra points between a source point and its neighbour', () => {
+  const sample = gridSample();
+  const padded = padSample(sample, TARGET, 'nearest', mulberry32(5));
+  for (let j = 64; j < TARGET; j++) {
+    const p = Array.from(padded.positions.subarray(j * 3, j * 3 + 3));
+    // Neighbours on the unit grid differ along one axis, so two coordinates stay integral
+    const integral = p.filter((v) => Math.abs(v - Math.round(v)) < 1e-6).length;
+    assert.ok(integral >= 2, `point ${j} at ${p}`);
+    assert.ok(closestSource(sample, padded, j).distance <= 0.5 + 1e-6);
+  }
+});
+
+test('colorless samples stay colorless', () => {
+  const { count, positions } = gridSample();
+  const padded = padSample({ count, positions, colors: null }, TARGET, 'nearest', mulberry32(6));
+  assert.equal(padded.colors, null);
+});
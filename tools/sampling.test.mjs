@@ -0,0 +1,91 @@
+// sampling.test.mjs
+// Density orders (js/sampling.js): every mode is a seeded permutation whose prefixes thin evenly.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SAMPLING_MODES, computeSampleOrder, mulberry32 } from '../js/sampling.js';
+
+function randomCloud(count, seed) {
+  const rand = mulberry32(seed);
+  return Float32Array.from({ length: count * 3 }, () => rand() * 10 - 5);
+}
+
+function assertPermutation(order, count, label) {
+  assert.equal(order.length, count, `${label} length`);
+  const seen = new Uint8Array(count);
+  for (const i of order) {
+    assert.ok(i < count, `${label}: index ${i} out of range`);
+    assert.equal(seen[i], 0, `${label}: index ${i} repeated`);
+    seen[i] = 1;
+  }
+}
+
+// Eight tight clusters, one per octant of a cube
+function octantCloud(perCluster, seed) {
+  const rand = mulberry32(seed);
+  const positions = new Float32Array(8 * perCluster * 3);
+  for (let i = 0; i < 8 * perCluster; i++) {
+    const c = i % 8;
+    positions[i * 3] = (c & 1 ? 5 : -5) + rand() * 0.1;
+    positions[i * 3 + 1] = (c & 2 ? 5 : -5) + rand() * 0.1;
+    positions[i * 3 + 2] = (c & 4 ? 5 : -5) + rand() * 0.1;
+  }
+  return positions;
+}
+const octant = (positions, i) => (positions[i * 3] > 0 ? 1 : 0) | (positions[i * 3 + 1] > 0 ? 2 : 0) | (positions[i * 3 + 2] > 0 ? 4 : 0);
+
+test('every mode is a permutation, including tiny and duplicate-heavy clouds', () => {
+  const duplicates = new Float32Array(300).fill(1);
+  for (const mode of SAMPLING_MODES) {
+    for (const count of [0, 1, 2, 7, 1000]) {
+      assertPermutation(computeSampleOrder(randomCloud(count, count), count, mode, mulberry32(1)), count, `${mode}/${count}`);
+    }
+    assertPermutation(computeSampleOrder(duplicates, 100, mode, mulberry32(1)), 100, `${mode}/duplicates`);
+  }
+});
+
+test('orders are deterministic for a seed', () => {
+  const positions = randomCloud(500, 3);
+  for (const mode of SAMPLING_MODES) {
+    const a = computeSampleOrder(positions, 500, mode, mulberry32(42));
+    const b = computeSampleOrder(positions, 500, mode, mulberry32(42));
+    assert.deepEqual(a, b, mode);
+  }
+  const other = computeSampleOrder(positions, 500, 'random', mulberry32(43));
+  assert.notDeepEqual(other, computeSampleOrder(positions, 500, 'random', mulberry32(42)));
+});
+
+test('stride prefixes are bit-reversed strides of the file order', () => {
+  const order = computeSampleOrder(null, 16, 'stride');
+  assert.deepEqual(Array.from(order.subarray(0, 4)), [0, 8, 4, 12]);
+  // Counts that are not powers of two skip the out-of-range indices
+  assert.deepEqual(Array.from(computeSampleOrder(null, 5, 'stride')), [0, 4, 2, 1, 3]);
+});
+
+test('voxel and poisson prefixes visit every cluster before repeating one', () => {
+  const positions = octantCloud(50, 5);
+  for (const mode of ['voxel', 'poisson']) {
+    const order = computeSampleOrder(positions, 400, mode, mulberry32(7));
+    const prefix = new Set(Array.from(order.subarray(0, 8), (i) => octant(positions, i)));
+    assert.equal(prefix.size, 8, mode);
+  }
+});
+
+test('poisson prefixes keep their spacing', () => {
+  const count = 2000;
+  const positions = randomCloud(count, 9);
+  const order = computeSampleOrder(positions, count, 'poisson', mulberry32(11));
+  // Level 1 accepts points at least extent / 2 apart; the first few are all level 1
+  const extent = Math.max(...[0, 1, 2].map((a) => {
+    const axis = positions.filter((_, i) => i % 3 === a);
+    return Math.max(...axis) - Math.min(...axis);
+  }));
+  const prefix = Array.from(order.subarray(0, 4));
+  for (let a = 0; a < prefix.length; a++) {
+    for (let b = a + 1; b < prefix.length; b++) {
+      const [i, j] = [prefix[a], prefix[b]];
+      const d = Math.hypot(positions[i * 3] - positions[j * 3], positions[i * 3 + 1] - positions[j * 3 + 1], positions[i * 3 + 2] - positions[j * 3 + 2]);
+      assert.ok(d >= extent / 2 - 1e-4, `points ${i} and ${j} are ${d} apart`);
+    }
+  }
+});
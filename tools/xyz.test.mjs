@@ -0,0 +1,81 @@
+// xyz.test.mjs
+// Text point lists (js/formats/xyz.js): delimiters, header and count lines, color ranges.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XYZParser, parseXYZ } from '../js/formats/xyz.js';
+import { srgbToLinear } from '../js/formats/cloud.js';
+
+const near = (actual, expected, label) => {
+  assert.equal(actual.length, expected.length, `${label} length`);
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-5, `${label}[${i}]: ${v} vs ${expected[i]}`));
+};
+
+// Absolute coordinates back from the origin-relative positions
+const absolute = (cloud) => Array.from(cloud.positions, (v, i) => v + cloud.userData.origin[i % 3]);
+
+test('whitespace-separated xyz', () => {
+  const cloud = parseXYZ('1 2 3\n4   5\t6\n\n# comment\n7 8 9\n');
+  assert.equal(cloud.count, 3);
+  near(absolute(cloud), [1, 2, 3, 4, 5, 6, 7, 8, 9], 'positions');
+  assert.equal(cloud.colors, null);
+});
+
+test('positions are stored relative to the first point', () => {
+  const cloud = parseXYZ('500000.5 4000000.25 100\n500001.5 4000002.25 101\n');
+  assert.deepEqual(cloud.userData.origin, [500000.5, 4000000.25, 100]);
+  near(cloud.positions, [0, 0, 0, 1, 2, 1], 'positions');
+});
+
+test('comma CSV with a named header picks columns by name', () => {
+  const cloud = parseXYZ('id,Red,Green,Blue,X,Y,Z\n0,1,0,0.5,1,2,3\n1,0,1,0.25,4,5,6\n');
+  assert.equal(cloud.count, 2);
+  near(absolute(cloud), [1, 2, 3, 4, 5, 6], 'positions');
+  // Largest channel is 1, so colors are read as 0..1
+  near(cloud.colors, [1, 0, 0.5, 0, 1, 0.25].map(srgbToLinear), 'colors');
+});
+
+test('semicolon CSV with decimal commas', () => {
+  const headed = parseXYZ('x;y;z\n1,5;2,25;3,0\n-0,5;0;10\n');
+  near(absolute(headed), [1.5, 2.25, 3, -0.5, 0, 10], 'headed');
+
+  const headerless = parseXYZ('1,5;2,25;3,0\n4,75;5;6,5\n');
+  assert.equal(headerless.count, 2);
+  near(absolute(headerless), [1.5, 2.25, 3, 4.75, 5, 6.5], 'headerless');
+});
+
+test('tab-separated columns', () => {
+  const cloud = parseXYZ('1\t2\t3\t255\t0\t128\n');
+  near(absolute(cloud), [1, 2, 3], 'positions');
+  near(cloud.colors, [1, 0, 128 / 255].map(srgbToLinear), 'colors');
+});
+
+test('PTS: count line skipped, x y z i r g b, 0..255 colors and scaled intensity', () => {
+  const cloud = parseXYZ('3\n0 0 0 -2048 255 0 0\n1 0 0 0 0 255 0\n0 1 0 2047 0 0 255\n');
+  assert.equal(cloud.count, 3);
+  near(cloud.colors, [1, 0, 0, 0, 1, 0, 0, 0, 1], 'colors');
+  near(cloud.attributes.intensity.array, [0, 2048 / 4095, 1], 'intensity');
+});
+
+test('explicit columns and delimiter override detection', () => {
+  const cloud = parseXYZ('0|3|2|1\n1|6|5|4\n', { delimiter: '|', columns: { x: 3, y: 2, z: 1 } });
+  near(absolute(cloud), [1, 2, 3, 4, 5, 6], 'positions');
+});
+
+test('chunks may split lines anywhere', () => {
+  const text = '//X Y Z\n1.25 2 3\n4 5 6.5\n7 8 9';
+  const parser = new XYZParser();
+  for (let i = 0; i < text.length; i += 3) parser.push(text.slice(i, i + 3));
+  const cloud = parser.finish();
+  assert.equal(cloud.count, 3);
+  near(absolute(cloud), [1.25, 2, 3, 4, 5, 6.5, 7, 8, 9], 'positions');
+});
+
+test('rows with non-numeric coordinates are skipped', () => {
+  const cloud = parseXYZ('1 2 3\n4 nan 6\n7 8 9\n');
+  assert.equal(cloud.count, 2);
+});
+
+test('a header without x/y/z columns is an error', () => {
+  assert.throws(() => parseXYZ('a,b,c\n1,2,3\n'), /could not find x\/y\/z columns/);
+});